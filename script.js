@@ -3,15 +3,38 @@
  * 
  * A interactive web application for visualizing guitar fretboard layouts.
  * Displays notes, scales, intervals, and fret markers with customizable themes.
- * Supports multiple scales (chromatic, major, minor, pentatonic), root notes,
+ * Supports a library of scales and modes grouped by family, chords, root notes,
  * label types (intervals or note names), and export functionality.
  * 
  * Features:
  * - Dynamic fretboard rendering with configurable fret range
- * - Scale and root note selection
+ * - Open string column (fret 0) left of the nut
+ * - Tuning presets and per-string tuning editor
+ * - Instrument model (6/7/8-string guitar, 4/5/6-string bass, ukulele, mandolin)
+ * - Chord mode with a chord-quality library and extended interval labels
+ * - Playable chord voicing finder with muted/open string marks
+ * - Live chord recognition of the selected notes (inversions, slash chords, alternatives)
+ * - Scale identification from the selected notes, ranked by fit
+ * - User-defined scales and chords saved in localStorage, shareable as JSON
+ * - Key-aware enharmonic spelling of note and interval names
+ * - Shareable URL state with browser back/forward history
+ * - Session auto-save and named presets in localStorage
+ * - Undo/redo history for all diagram edits (Ctrl+Z / Ctrl+Shift+Z), drag to paint notes
+ * - Scale and root note selection from an extended scale and mode library
  * - Interactive note selection
+ * - Plucked-string playback of clicked notes at their exact pitch (Web Audio, no samples), mute and volume
+ * - Sequence playback of the selection, scale or arpeggio with tempo, note length, direction and loop
+ * - Root drone (optionally with the fifth) that follows the root note, with octave, timbre and fade
+ * - Metronome with time signatures, accents, subdivisions, tap tempo and a note highlight stepping per beat
  * - Theme switching (wood/clear)
- * - PNG export capability
+ * - PNG export capability with remembered resolution, width, padding, background and caption settings
+ * - Native SVG export generated from the state (vector, editable)
+ * - Copy the diagram to the clipboard as an image (PNG, plus SVG where supported)
+ * - Print layout: light theme, page-wide rows of frets, optional legend and summary
+ * - PDF worksheets with several captioned diagrams per page (keys, positions, presets)
+ * - Batch export of roots x scales x fret windows as PNG or SVG images in one ZIP file
+ * - Plain-text tab export (fret grid or chord chart, ASCII or Unicode) with copy to clipboard
+ * - Text tab import: pasted tab becomes the selection, with its tuning and fret window
  * - Roman numeral fret indicators - up
  * - Arabic numeral fret indicators - down
  */
@@ -19,22 +42,177 @@
 const CONFIG = {
     // Chromatic scale: all 12 semitones
     notes: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
-    // Standard guitar tuning in semitone indices (E A D G B E)
-    tuning: [4, 11, 7, 2, 9, 4],
-    // String names from high to low
-    tuningNames: ['e', 'B', 'G', 'D', 'A', 'E'],
-    // Scale degree patterns (intervals from root note)
+    // Chromatic scale spelled with flats, for flat keys
+    flatNotes: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'],
+    // Natural note letters and their semitone indices
+    letters: ['C', 'D', 'E', 'F', 'G', 'A', 'B'],
+    letterPitches: [0, 2, 4, 5, 7, 9, 11],
+    // Fretted instruments: string gauges (thousandths of an inch) and tuning presets,
+    // both listed from the highest string to the lowest. Pitches are MIDI numbers (E4 = 64).
+    instruments: {
+        guitar6: {
+            name: 'Guitar (6-string)',
+            gauges: [10, 13, 17, 26, 36, 46],
+            tunings: {
+                standard: { name: 'Standard (EADGBE)', strings: [64, 59, 55, 50, 45, 40] },
+                halfStepDown: { name: 'Half-step down (Eb)', strings: [63, 58, 54, 49, 44, 39] },
+                fullStepDown: { name: 'Full-step down (D)', strings: [62, 57, 53, 48, 43, 38] },
+                dropD: { name: 'Drop D', strings: [64, 59, 55, 50, 45, 38] },
+                dropC: { name: 'Drop C', strings: [62, 57, 53, 48, 43, 36] },
+                dadgad: { name: 'DADGAD', strings: [62, 57, 55, 50, 45, 38] },
+                openG: { name: 'Open G', strings: [62, 59, 55, 50, 43, 38] },
+                openD: { name: 'Open D', strings: [62, 57, 54, 50, 45, 38] },
+                openE: { name: 'Open E', strings: [64, 59, 56, 52, 47, 40] }
+            }
+        },
+        guitar7: {
+            name: 'Guitar (7-string)',
+            gauges: [10, 13, 17, 26, 36, 46, 59],
+            tunings: {
+                standard: { name: 'Standard (BEADGBE)', strings: [64, 59, 55, 50, 45, 40, 35] },
+                dropA: { name: 'Drop A', strings: [64, 59, 55, 50, 45, 40, 33] }
+            }
+        },
+        guitar8: {
+            name: 'Guitar (8-string)',
+            gauges: [10, 13, 17, 26, 36, 46, 64, 74],
+            tunings: {
+                standard: { name: 'Standard (F#BEADGBE)', strings: [64, 59, 55, 50, 45, 40, 35, 30] },
+                dropE: { name: 'Drop E', strings: [64, 59, 55, 50, 45, 40, 35, 28] }
+            }
+        },
+        bass4: {
+            name: 'Bass (4-string)',
+            gauges: [45, 65, 85, 105],
+            tunings: {
+                standard: { name: 'Standard (EADG)', strings: [43, 38, 33, 28] },
+                dropD: { name: 'Drop D', strings: [43, 38, 33, 26] }
+            }
+        },
+        bass5: {
+            name: 'Bass (5-string)',
+            gauges: [45, 65, 85, 105, 130],
+            tunings: {
+                standard: { name: 'Standard (BEADG)', strings: [43, 38, 33, 28, 23] }
+            }
+        },
+        bass6: {
+            name: 'Bass (6-string)',
+            gauges: [32, 45, 65, 85, 105, 130],
+            tunings: {
+                standard: { name: 'Standard (BEADGC)', strings: [48, 43, 38, 33, 28, 23] }
+            }
+        },
+        ukulele: {
+            name: 'Ukulele',
+            gauges: [24, 31, 36, 28],
+            tunings: {
+                standard: { name: 'Standard (GCEA)', strings: [69, 64, 60, 67] },
+                lowG: { name: 'Low G', strings: [69, 64, 60, 55] },
+                baritone: { name: 'Baritone (DGBE)', strings: [64, 59, 55, 50] }
+            }
+        },
+        mandolin: {
+            name: 'Mandolin',
+            gauges: [11, 15, 26, 40],
+            tunings: {
+                standard: { name: 'Standard (GDAE)', strings: [76, 69, 62, 55] }
+            }
+        }
+    },
+    // Scales grouped by family, with their degree formula and characteristic note
+    // (the degree that sets the scale apart from its closest relative)
     scales: {
-        chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
-        major: [0, 2, 4, 5, 7, 9, 11],
-        minor: [0, 2, 3, 5, 7, 8, 10],
-        majorPentatonic: [0, 2, 4, 7, 9],
-        minorPentatonic: [0, 3, 5, 7, 10]
+        chromatic: { name: 'Chromatic', family: 'Basic', formula: ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7'], characteristic: null },
+        major: { name: 'Major (Dur) / Ionian', family: 'Diatonic modes', formula: ['1', '2', '3', '4', '5', '6', '7'], characteristic: '7' },
+        dorian: { name: 'Dorian', family: 'Diatonic modes', formula: ['1', '2', 'b3', '4', '5', '6', 'b7'], characteristic: '6' },
+        phrygian: { name: 'Phrygian', family: 'Diatonic modes', formula: ['1', 'b2', 'b3', '4', '5', 'b6', 'b7'], characteristic: 'b2' },
+        lydian: { name: 'Lydian', family: 'Diatonic modes', formula: ['1', '2', '3', '#4', '5', '6', '7'], characteristic: '#4' },
+        mixolydian: { name: 'Mixolydian', family: 'Diatonic modes', formula: ['1', '2', '3', '4', '5', '6', 'b7'], characteristic: 'b7' },
+        minor: { name: 'Minor (Moll) / Aeolian', family: 'Diatonic modes', formula: ['1', '2', 'b3', '4', '5', 'b6', 'b7'], characteristic: 'b6' },
+        locrian: { name: 'Locrian', family: 'Diatonic modes', formula: ['1', 'b2', 'b3', '4', 'b5', 'b6', 'b7'], characteristic: 'b5' },
+        majorPentatonic: { name: 'Major Pentatonic', family: 'Pentatonic & blues', formula: ['1', '2', '3', '5', '6'], characteristic: '6' },
+        minorPentatonic: { name: 'Minor Pentatonic', family: 'Pentatonic & blues', formula: ['1', 'b3', '4', '5', 'b7'], characteristic: 'b3' },
+        blues: { name: 'Blues (Minor Hexatonic)', family: 'Pentatonic & blues', formula: ['1', 'b3', '4', 'b5', '5', 'b7'], characteristic: 'b5' },
+        majorBlues: { name: 'Major Blues (Hexatonic)', family: 'Pentatonic & blues', formula: ['1', '2', 'b3', '3', '5', '6'], characteristic: 'b3' },
+        harmonicMinor: { name: 'Harmonic Minor', family: 'Harmonic minor modes', formula: ['1', '2', 'b3', '4', '5', 'b6', '7'], characteristic: '7' },
+        locrianNatural6: { name: 'Locrian Natural 6', family: 'Harmonic minor modes', formula: ['1', 'b2', 'b3', '4', 'b5', '6', 'b7'], characteristic: '6' },
+        ionianAugmented: { name: 'Ionian Augmented', family: 'Harmonic minor modes', formula: ['1', '2', '3', '4', '#5', '6', '7'], characteristic: '#5' },
+        dorianSharp4: { name: 'Dorian #4 (Ukrainian Dorian)', family: 'Harmonic minor modes', formula: ['1', '2', 'b3', '#4', '5', '6', 'b7'], characteristic: '#4' },
+        phrygianDominant: { name: 'Phrygian Dominant', family: 'Harmonic minor modes', formula: ['1', 'b2', '3', '4', '5', 'b6', 'b7'], characteristic: '3' },
+        lydianSharp2: { name: 'Lydian #2', family: 'Harmonic minor modes', formula: ['1', '#2', '3', '#4', '5', '6', '7'], characteristic: '#2' },
+        ultralocrian: { name: 'Ultralocrian', family: 'Harmonic minor modes', formula: ['1', 'b2', 'b3', 'b4', 'b5', 'b6', 'bb7'], characteristic: 'bb7' },
+        melodicMinor: { name: 'Melodic Minor (Jazz Minor)', family: 'Melodic minor modes', formula: ['1', '2', 'b3', '4', '5', '6', '7'], characteristic: '7' },
+        dorianFlat2: { name: 'Dorian b2', family: 'Melodic minor modes', formula: ['1', 'b2', 'b3', '4', '5', '6', 'b7'], characteristic: 'b2' },
+        lydianAugmented: { name: 'Lydian Augmented', family: 'Melodic minor modes', formula: ['1', '2', '3', '#4', '#5', '6', '7'], characteristic: '#5' },
+        lydianDominant: { name: 'Lydian Dominant', family: 'Melodic minor modes', formula: ['1', '2', '3', '#4', '5', '6', 'b7'], characteristic: '#4' },
+        mixolydianFlat6: { name: 'Mixolydian b6', family: 'Melodic minor modes', formula: ['1', '2', '3', '4', '5', 'b6', 'b7'], characteristic: 'b6' },
+        locrianNatural2: { name: 'Locrian Natural 2', family: 'Melodic minor modes', formula: ['1', '2', 'b3', '4', 'b5', 'b6', 'b7'], characteristic: '2' },
+        altered: { name: 'Altered (Super Locrian)', family: 'Melodic minor modes', formula: ['1', 'b2', 'b3', 'b4', 'b5', 'b6', 'b7'], characteristic: 'b4' },
+        wholeTone: { name: 'Whole Tone', family: 'Symmetric', formula: ['1', '2', '3', '#4', '#5', 'b7'], characteristic: '#5' },
+        diminishedHalfWhole: { name: 'Diminished (Half-Whole)', family: 'Symmetric', formula: ['1', 'b2', '#2', '3', '#4', '5', '6', 'b7'], characteristic: 'b2' },
+        diminishedWholeHalf: { name: 'Diminished (Whole-Half)', family: 'Symmetric', formula: ['1', '2', 'b3', '4', 'b5', '#5', '6', '7'], characteristic: '7' },
+        bebopDominant: { name: 'Bebop Dominant', family: 'Bebop', formula: ['1', '2', '3', '4', '5', '6', 'b7', '7'], characteristic: '7' },
+        bebopMajor: { name: 'Bebop Major', family: 'Bebop', formula: ['1', '2', '3', '4', '5', '#5', '6', '7'], characteristic: '#5' },
+        bebopDorian: { name: 'Bebop Dorian', family: 'Bebop', formula: ['1', '2', 'b3', '3', '4', '5', '6', 'b7'], characteristic: '3' },
+        hirajoshi: { name: 'Hirajoshi', family: 'World', formula: ['1', '2', 'b3', '5', 'b6'], characteristic: 'b6' },
+        inSen: { name: 'In Sen', family: 'World', formula: ['1', 'b2', '4', '5', 'b7'], characteristic: 'b2' },
+        iwato: { name: 'Iwato', family: 'World', formula: ['1', 'b2', '4', 'b5', 'b7'], characteristic: 'b5' },
+        egyptian: { name: 'Egyptian (Suspended Pentatonic)', family: 'World', formula: ['1', '2', '4', '5', 'b7'], characteristic: '4' },
+        hungarianMinor: { name: 'Hungarian Minor', family: 'World', formula: ['1', '2', 'b3', '#4', '5', 'b6', '7'], characteristic: '#4' },
+        hungarianMajor: { name: 'Hungarian Major', family: 'World', formula: ['1', '#2', '3', '#4', '5', '6', 'b7'], characteristic: '#2' },
+        doubleHarmonic: { name: 'Double Harmonic (Byzantine)', family: 'World', formula: ['1', 'b2', '3', '4', '5', 'b6', '7'], characteristic: 'b2' },
+        neapolitanMinor: { name: 'Neapolitan Minor', family: 'World', formula: ['1', 'b2', 'b3', '4', '5', 'b6', '7'], characteristic: 'b2' },
+        neapolitanMajor: { name: 'Neapolitan Major', family: 'World', formula: ['1', 'b2', 'b3', '4', '5', '6', '7'], characteristic: 'b2' },
+        persian: { name: 'Persian', family: 'World', formula: ['1', 'b2', '3', '4', 'b5', 'b6', '7'], characteristic: 'b5' }
     },
     // Interval names for display
     intervals: ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7'],
+    // Semitone distance from the root for every interval name used in formulas.
+    // Extensions above the octave keep their own names (9, 11, 13) instead of wrapping to 2, 4, 6.
+    intervalSemitones: {
+        '1': 0, 'b2': 1, '2': 2, '#2': 3, 'b3': 3, '3': 4, 'b4': 4, '4': 5, '#4': 6, 'b5': 6, '5': 7,
+        '#5': 8, 'b6': 8, '6': 9, 'bb7': 9, 'b7': 10, '7': 11,
+        'b9': 13, '9': 14, '#9': 15, '11': 17, '#11': 18, 'b13': 20, '13': 21
+    },
+    // Chord qualities grouped by family, with the chord symbol and interval formula
+    chords: {
+        major: { name: 'Major', symbol: '', family: 'Triads', formula: ['1', '3', '5'] },
+        minor: { name: 'Minor', symbol: 'm', family: 'Triads', formula: ['1', 'b3', '5'] },
+        diminished: { name: 'Diminished', symbol: 'dim', family: 'Triads', formula: ['1', 'b3', 'b5'] },
+        augmented: { name: 'Augmented', symbol: 'aug', family: 'Triads', formula: ['1', '3', '#5'] },
+        sus2: { name: 'Suspended 2nd', symbol: 'sus2', family: 'Suspended & added', formula: ['1', '2', '5'] },
+        sus4: { name: 'Suspended 4th', symbol: 'sus4', family: 'Suspended & added', formula: ['1', '4', '5'] },
+        add9: { name: 'Added 9th', symbol: 'add9', family: 'Suspended & added', formula: ['1', '3', '5', '9'] },
+        minorAdd9: { name: 'Minor added 9th', symbol: 'm(add9)', family: 'Suspended & added', formula: ['1', 'b3', '5', '9'] },
+        add11: { name: 'Added 11th', symbol: 'add11', family: 'Suspended & added', formula: ['1', '3', '5', '11'] },
+        six: { name: 'Major 6th', symbol: '6', family: 'Sixths', formula: ['1', '3', '5', '6'] },
+        minorSix: { name: 'Minor 6th', symbol: 'm6', family: 'Sixths', formula: ['1', 'b3', '5', '6'] },
+        sixNine: { name: '6/9', symbol: '6/9', family: 'Sixths', formula: ['1', '3', '5', '6', '9'] },
+        dominant7: { name: 'Dominant 7th', symbol: '7', family: 'Sevenths', formula: ['1', '3', '5', 'b7'] },
+        major7: { name: 'Major 7th', symbol: 'maj7', family: 'Sevenths', formula: ['1', '3', '5', '7'] },
+        minor7: { name: 'Minor 7th', symbol: 'm7', family: 'Sevenths', formula: ['1', 'b3', '5', 'b7'] },
+        minorMajor7: { name: 'Minor major 7th', symbol: 'm(maj7)', family: 'Sevenths', formula: ['1', 'b3', '5', '7'] },
+        halfDiminished: { name: 'Half-diminished', symbol: 'm7b5', family: 'Sevenths', formula: ['1', 'b3', 'b5', 'b7'] },
+        diminished7: { name: 'Diminished 7th', symbol: 'dim7', family: 'Sevenths', formula: ['1', 'b3', 'b5', 'bb7'] },
+        augmented7: { name: 'Augmented 7th', symbol: '7#5', family: 'Sevenths', formula: ['1', '3', '#5', 'b7'] },
+        seventhSus4: { name: '7th suspended 4th', symbol: '7sus4', family: 'Sevenths', formula: ['1', '4', '5', 'b7'] },
+        dominant9: { name: 'Dominant 9th', symbol: '9', family: 'Extended', formula: ['1', '3', '5', 'b7', '9'] },
+        major9: { name: 'Major 9th', symbol: 'maj9', family: 'Extended', formula: ['1', '3', '5', '7', '9'] },
+        minor9: { name: 'Minor 9th', symbol: 'm9', family: 'Extended', formula: ['1', 'b3', '5', 'b7', '9'] },
+        dominant11: { name: 'Dominant 11th', symbol: '11', family: 'Extended', formula: ['1', '3', '5', 'b7', '9', '11'] },
+        minor11: { name: 'Minor 11th', symbol: 'm11', family: 'Extended', formula: ['1', 'b3', '5', 'b7', '9', '11'] },
+        dominant13: { name: 'Dominant 13th', symbol: '13', family: 'Extended', formula: ['1', '3', '5', 'b7', '9', '13'] },
+        major13: { name: 'Major 13th', symbol: 'maj13', family: 'Extended', formula: ['1', '3', '5', '7', '9', '13'] },
+        minor13: { name: 'Minor 13th', symbol: 'm13', family: 'Extended', formula: ['1', 'b3', '5', 'b7', '9', '13'] },
+        seventhFlat9: { name: '7th flat 9', symbol: '7b9', family: 'Altered', formula: ['1', '3', '5', 'b7', 'b9'] },
+        seventhSharp9: { name: '7th sharp 9', symbol: '7#9', family: 'Altered', formula: ['1', '3', '5', 'b7', '#9'] },
+        seventhSharp11: { name: '7th sharp 11', symbol: '7#11', family: 'Altered', formula: ['1', '3', '5', 'b7', '#11'] }
+    },
     // Fret numbers with inlay markers
-    markers: [3, 5, 7, 9, 12, 15, 17, 19, 21, 24]
+    markers: [3, 5, 7, 9, 12, 15, 17, 19, 21, 24],
+    // Default note colors (match the color pickers and CSS variables)
+    defaultColors: { root: '#e74c3c', note: '#3498db' }
 };
 
 // State object to hold the current configuration of the fretboard visualizer
@@ -43,28 +221,46 @@ let state = {
     startFret: 0, // Starting fret number
     rootNote: 'E', // Root note for the scale
     scaleType: 'chromatic', // Type of scale being used
+    mode: 'scale', // Whether the board shows a scale or a chord
+    chordType: 'major', // Chord quality from CONFIG.chords used in chord mode
     labelType: 'interval', // Type of label to display (interval or note name)
     theme: 'wood', // Current theme of the visualizer
+    instrument: 'guitar6', // Selected instrument from CONFIG.instruments
+    tuningId: 'standard', // Selected tuning preset of the instrument ('custom' when edited by hand)
+    tuning: [...CONFIG.instruments.guitar6.tunings.standard.strings], // Open string pitches as MIDI numbers, high to low
+    showOpenReference: false, // Show the open string column as a reference when the first fret is above 0
+    voicing: null, // Frets of the displayed chord voicing per string (null entries are muted), or null
+    rootColor: CONFIG.defaultColors.root, // Color of root note markers
+    noteColor: CONFIG.defaultColors.note, // Color of other note markers
     selectedNotes: new Set() // Set to keep track of selected notes
 };
 
 // Elements object to reference DOM elements for rendering
 const elements = {
+    wrapper: document.querySelector('.fretboard-wrapper'), // Wrapper holding the whole fretboard display
     fretboard: document.getElementById('fretboard'), // Main fretboard element
     layers: {
         frets: document.getElementById('layer-frets'), // Layer for frets
         strings: document.getElementById('layer-strings'), // Layer for strings
         notes: document.getElementById('layer-notes'), // Layer for notes
+        openStrings: document.getElementById('open-strings'), // Column for open string notes (fret 0)
         roman: document.getElementById('roman-indicators'), // Layer for Roman numeral indicators
-        stringNames: document.getElementById('string-names') // Layer for string names
+        stringNames: document.getElementById('string-names'), // Layer for string names
+        tuningEditor: document.getElementById('tuning-editor') // Container for the per-string tuning editor
     },
     inputs: {
         fretCount: document.getElementById('fret-count'), // Input for number of frets
         startFret: document.getElementById('start-fret'), // Input for starting fret
+        showOpen: document.getElementById('show-open'), // Checkbox for the open string reference column
         rootNote: document.getElementById('root-note'), // Input for root note
         scaleType: document.getElementById('scale-type'), // Input for scale type
+        modeType: document.getElementById('mode-type'), // Input for scale or chord mode
+        chordType: document.getElementById('chord-type'), // Input for chord quality
+        scaleInfo: document.getElementById('scale-info'), // Metadata of the current scale or chord
         labelType: document.getElementById('label-type'), // Input for label type
         themeType: document.getElementById('theme-type'), // Input for theme type
+        instrument: document.getElementById('instrument'), // Input for instrument
+        tuningPreset: document.getElementById('tuning-preset'), // Input for tuning preset
         themeToggle: document.getElementById('theme-toggle') // Toggle for theme
     }
 };
@@ -87,32 +283,213 @@ function toRoman(num) {
     return roman; // Return the final Roman numeral string
 }
 
+/**
+ * Derives the string name labels from a tuning.
+ * Names come from each string's pitch, so they can never drift out of sync with the tuning.
+ * The highest string is written in lower case when its note repeats a lower string (e.g. 'e' in EADGBE).
+ * @param {number[]} tuning - Open string pitches as MIDI numbers, high to low.
+ * @returns {string[]} - The string names, high to low.
+ */
+function getStringNames(tuning) {
+    return tuning.map((midi, i) => {
+        const name = CONFIG.notes[midi % 12]; // Pitch class name of the open string
+        const repeatsLower = tuning.slice(i + 1).some(other => other % 12 === midi % 12); // Same note on a lower string
+        return (i === 0 && repeatsLower) ? name.toLowerCase() : name;
+    });
+}
+
+/**
+ * Returns the configuration of the currently selected instrument.
+ * @returns {Object} - The instrument entry from CONFIG.instruments.
+ */
+function getInstrument() {
+    return CONFIG.instruments[state.instrument];
+}
+
+/**
+ * Finds the built-in preset of the current instrument matching a tuning.
+ * @param {number[]} tuning - Open string pitches as MIDI numbers, high to low.
+ * @returns {string} - The preset id, or 'custom' when no preset matches.
+ */
+function findTuningPreset(tuning) {
+    const tunings = getInstrument().tunings;
+    const match = Object.keys(tunings).find(id => 
+        tunings[id].strings.join() === tuning.join()
+    );
+    return match || 'custom';
+}
+
+/**
+ * Converts a string gauge to a rendered string thickness.
+ * @param {number} gauge - The string gauge in thousandths of an inch.
+ * @returns {number} - The thickness in pixels, kept between 1 and 7.
+ */
+function gaugeToPixels(gauge) {
+    return Math.min(7, Math.max(1, 0.4 + gauge * 0.08));
+}
+
+/**
+ * Parses a spelled note name such as 'Bb', 'F#' or 'C##'.
+ * @param {string} name - Letter followed by any number of '#' or 'b'.
+ * @returns {Object} - The letter index (0 = C) and the semitone index (0-11).
+ */
+function parseNoteName(name) {
+    const letter = CONFIG.letters.indexOf(name[0].toUpperCase());
+    const accidentals = [...name.slice(1)].reduce((sum, ch) => sum + (ch === '#' ? 1 : ch === 'b' ? -1 : 0), 0);
+    return { letter: letter, pitch: (CONFIG.letterPitches[letter] + accidentals + 24) % 12 };
+}
+
+/**
+ * Returns the semitone index of a spelled note name.
+ * @param {string} name - The note name (e.g. 'Eb').
+ * @returns {number} - The semitone index (0 = C).
+ */
+function getNoteIndex(name) {
+    return parseNoteName(name).pitch;
+}
+
+/**
+ * Spells a pitch on a given letter, adding the sharps or flats needed (up to two).
+ * @param {number} letter - Letter index (0 = C).
+ * @param {number} pitch - Semitone index (0-11).
+ * @returns {string} - The spelled note, e.g. 'E#', 'Cb' or 'F##'.
+ */
+function spellOnLetter(letter, pitch) {
+    const offset = ((pitch - CONFIG.letterPitches[letter]) % 12 + 18) % 12 - 6; // Shortest distance, -6..5
+    return CONFIG.letters[letter] + (offset > 0 ? '#'.repeat(offset) : 'b'.repeat(-offset));
+}
+
+/**
+ * Spells an interval above a root so each scale degree keeps its own letter
+ * (e.g. the b3 of Eb is Gb, the 7 of G# is F##).
+ * @param {string} rootName - The spelled root note.
+ * @param {string} intervalName - Interval name from a formula (e.g. 'b3', '#4', '9').
+ * @returns {string} - The spelled note.
+ */
+function spellInterval(rootName, intervalName) {
+    const root = parseNoteName(rootName);
+    const degree = parseInt(intervalName.replace(/[#b]/g, '')) - 1; // 0-based scale degree, e.g. 9 -> 8
+    const pitch = (root.pitch + CONFIG.intervalSemitones[intervalName]) % 12;
+    return spellOnLetter((root.letter + degree) % 7, pitch);
+}
+
+/**
+ * Counts the accidentals needed to spell a formula on a root (double accidentals count twice).
+ * @param {string} rootName - The spelled root note.
+ * @param {string[]} formula - Interval names.
+ * @returns {number} - The number of sharps and flats.
+ */
+function countAccidentals(rootName, formula) {
+    return formula.map(name => spellInterval(rootName, name)).join('').replace(/[A-G]/g, '').length;
+}
+
+/**
+ * Chooses how to spell a root for a formula: black keys take whichever of the sharp or flat
+ * name needs fewer accidentals (Eb major rather than D# major), preferring flats on a tie.
+ * @param {number} pitch - Semitone index of the root.
+ * @param {string[]} formula - Interval names of the scale or chord.
+ * @returns {string} - The spelled root.
+ */
+function spellRoot(pitch, formula) {
+    const sharp = CONFIG.notes[pitch];
+    const flat = CONFIG.flatNotes[pitch];
+    if (sharp === flat) return sharp;
+    return countAccidentals(sharp, formula) < countAccidentals(flat, formula) ? sharp : flat;
+}
+
+/**
+ * Returns the formula of the scale or chord currently shown.
+ * @returns {string[]} - Interval names.
+ */
+function getActiveFormula() {
+    return state.mode === 'chord' ? CONFIG.chords[state.chordType].formula : CONFIG.scales[state.scaleType].formula;
+}
+
+/**
+ * Decides whether notes outside the current formula are spelled with flats.
+ * A flat or sharp root decides directly; a natural root follows the accidentals of its spelled formula.
+ * @returns {boolean} - True for flat spelling.
+ */
+function keyPrefersFlats() {
+    if (state.rootNote.includes('b')) return true;
+    if (state.rootNote.includes('#')) return false;
+    const spelled = getActiveFormula().map(name => spellInterval(state.rootNote, name)).join('');
+    return (spelled.match(/b/g) || []).length > (spelled.match(/#/g) || []).length;
+}
+
+/**
+ * Spells a pitch in the current key when it has no scale degree of its own.
+ * @param {number} pitch - Semitone index (0-11).
+ * @returns {string} - The note name using sharps or flats to match the key.
+ */
+function spellPitch(pitch) {
+    return (keyPrefersFlats() ? CONFIG.flatNotes : CONFIG.notes)[pitch];
+}
+
+/**
+ * Converts a scale's degree formula to semitone distances from the root.
+ * @param {string} scaleId - Key of CONFIG.scales.
+ * @returns {number[]} - The semitones of each scale degree.
+ */
+function getScaleSemitones(scaleId) {
+    return CONFIG.scales[scaleId].formula.map(name => CONFIG.intervalSemitones[name]);
+}
+
+/**
+ * Returns the tones of the current scale or chord as intervals from the root.
+ * Labels come from the formula, so Lydian shows #4 rather than b5 and chord
+ * extensions keep labels such as 9, 11 and 13.
+ * @returns {Object[]} - The tones, each with its semitone distance and display label.
+ */
+function getActiveTones() {
+    return getActiveFormula().map(name => ({
+        semitones: CONFIG.intervalSemitones[name],
+        label: name
+    }));
+}
+
 /**
  * Retrieves information about the note at a specific string and fret.
- * @param {number} stringIndex - The index of the guitar string (0-5).
+ * @param {number} stringIndex - The index of the string (0 is the highest).
  * @param {number} fret - The fret number (0 for open string).
  * @returns {Object} - An object containing the note name, interval name, 
- *                     whether it's the root note, and if it's in the current scale.
+ *                     whether it's the root note, and if it's in the current scale or chord.
  */
 function getNoteInfo(stringIndex, fret) {
-    const rootIdx = CONFIG.notes.indexOf(state.rootNote); // Get the index of the root note
-    const openNoteIdx = CONFIG.tuning[stringIndex]; // Get the index of the open string note
+    const rootIdx = getNoteIndex(state.rootNote); // Get the index of the root note
+    const openNoteIdx = state.tuning[stringIndex] % 12; // Get the index of the open string note
     const currentNoteIdx = (openNoteIdx + fret) % 12; // Calculate the current note index
     const diff = (currentNoteIdx - rootIdx + 12) % 12; // Calculate the difference from the root note
+    const tone = getActiveTones().find(t => t.semitones % 12 === diff); // Matching scale or chord tone, if any
+    // Scale tones of the chromatic scale have no letter of their own, so they follow the key like outside notes
+    const spellByDegree = tone && !(state.mode === 'scale' && state.scaleType === 'chromatic');
     return {
-        noteName: CONFIG.notes[currentNoteIdx], // Get the note name
-        intervalName: CONFIG.intervals[diff], // Get the interval name
+        noteName: spellByDegree ? spellInterval(state.rootNote, tone.label) : spellPitch(currentNoteIdx), // Get the spelled note name
+        intervalName: tone ? tone.label : CONFIG.intervals[diff], // Get the interval name
         isRoot: diff === 0, // Check if the note is the root note
-        inScale: CONFIG.scales[state.scaleType].includes(diff) // Check if the note is in the current scale
+        inScale: Boolean(tone) // Check if the note is in the current scale or chord
     };
 }
 
+/**
+ * Renders the string name labels next to the nut.
+ * When a chord voicing is displayed, each name is followed by a muted (x) or open (o) mark.
+ */
 function renderStringNames() {
     elements.layers.stringNames.innerHTML = ''; // Clear existing string names
-    CONFIG.tuningNames.forEach(name => { // Iterate over each string name in the tuning configuration
+    getStringNames(state.tuning).forEach((name, s) => { // Iterate over each string name derived from the tuning
         const el = document.createElement('div'); // Create a new div element for the string name
         el.className = 'string-name'; // Assign a class for styling
         el.innerText = name; // Set the text content to the string name
+        
+        // Mark muted and open strings of the displayed voicing
+        if (state.voicing && (state.voicing[s] === null || state.voicing[s] === 0)) {
+            const mark = document.createElement('span');
+            mark.className = 'string-status';
+            mark.innerText = state.voicing[s] === null ? 'x' : 'o';
+            el.appendChild(mark);
+        }
+        
         elements.layers.stringNames.appendChild(el); // Append the string name element to the string names layer
     });
 }
@@ -172,71 +549,284 @@ function renderFrets() {
 }
 
 /**
- * Renders the guitar strings on the fretboard.
- * Creates a string element for each string in the guitar tuning configuration.
+ * Renders the strings on the fretboard.
+ * Creates a string element for each string in the current tuning, with a thickness taken from the instrument gauges.
  */
 function renderStrings() {
+    const gauges = getInstrument().gauges;
     elements.layers.strings.innerHTML = ''; // Clear existing strings
-    CONFIG.tuningNames.forEach(name => { // Iterate over each string name in the tuning configuration
+    state.tuning.forEach((midi, s) => { // Iterate over each string in the current tuning
         const str = document.createElement('div'); // Create a new div element for the string
         str.className = 'string'; // Assign a class for styling
-        str.id = name; // Set the element ID to the string name for reference
+        str.style.height = `${gaugeToPixels(gauges[s])}px`; // Thickness from the string gauge
         elements.layers.strings.appendChild(str); // Append the string element to the strings layer
     });
 }
 
+/**
+ * Sizes the fretboard for the current string count.
+ * The board height and note grid rows follow the number of strings, so every layer lines up.
+ */
+function updateBoardSize() {
+    const count = state.tuning.length;
+    elements.wrapper.style.setProperty('--string-count', count); // Drives the board height in CSS
+    elements.layers.notes.style.gridTemplateRows = `repeat(${count}, 1fr)`; // One note row per string
+}
+
+/**
+ * Fills a dropdown from a library of scales or chords, grouped by family.
+ * @param {HTMLSelectElement} select - The dropdown to fill.
+ * @param {Object} library - CONFIG.scales or CONFIG.chords.
+ */
+function populateGroupedSelect(select, library) {
+    const previous = select.value;
+    select.innerHTML = ''; // Clear existing options
+    const groups = {}; // Option groups keyed by family name
+    Object.keys(library).forEach(id => {
+        const entry = library[id];
+        if (!groups[entry.family]) {
+            groups[entry.family] = document.createElement('optgroup');
+            groups[entry.family].label = entry.family;
+            select.appendChild(groups[entry.family]);
+        }
+        groups[entry.family].appendChild(new Option(entry.name, id));
+    });
+    if (previous) select.value = previous;
+}
+
+/**
+ * Fills the scale type dropdown from the scale library, grouped by family.
+ */
+function populateScaleTypes() {
+    populateGroupedSelect(elements.inputs.scaleType, CONFIG.scales);
+}
+
+/**
+ * Fills the chord quality dropdown from the chord library, grouped by family.
+ */
+function populateChordTypes() {
+    populateGroupedSelect(elements.inputs.chordType, CONFIG.chords);
+}
+
+/**
+ * Shows the metadata of the current scale or chord next to its dropdown:
+ * family, degree formula and, for scales, the characteristic note.
+ */
+function updateScaleInfo() {
+    const entry = state.mode === 'chord' ? CONFIG.chords[state.chordType] : CONFIG.scales[state.scaleType];
+    const parts = [entry.family, entry.formula.join(' ')];
+    if (entry.characteristic) parts.push(`characteristic: ${entry.characteristic}`);
+    elements.inputs.scaleInfo.innerText = parts.join(' · ');
+}
+
+/**
+ * Shows the scale or chord dropdown depending on the current mode.
+ */
+function updateModeControls() {
+    elements.inputs.modeType.value = state.mode;
+    elements.inputs.scaleType.hidden = state.mode !== 'scale';
+    elements.inputs.chordType.hidden = state.mode !== 'chord';
+    elements.inputs.chordType.value = state.chordType;
+    elements.inputs.scaleType.value = state.scaleType;
+    document.getElementById('voicing-controls').hidden = state.mode !== 'chord'; // Voicings only apply to chords
+    updateScaleInfo(); // Surface the formula of the scale or chord shown
+}
+
+/**
+ * Fills the instrument dropdown from the instrument configuration.
+ */
+function populateInstruments() {
+    elements.inputs.instrument.innerHTML = ''; // Clear existing options
+    Object.keys(CONFIG.instruments).forEach(id => {
+        elements.inputs.instrument.add(new Option(CONFIG.instruments[id].name, id));
+    });
+}
+
+/**
+ * Fills the tuning preset dropdown from the presets of the current instrument.
+ * A trailing 'Custom' option represents any tuning edited by hand.
+ */
+function populateTuningPresets() {
+    const tunings = getInstrument().tunings;
+    elements.inputs.tuningPreset.innerHTML = ''; // Clear existing options
+    Object.keys(tunings).forEach(id => {
+        elements.inputs.tuningPreset.add(new Option(tunings[id].name, id));
+    });
+    elements.inputs.tuningPreset.add(new Option('Custom', 'custom'));
+}
+
+/**
+ * Renders the per-string tuning editor.
+ * Each string gets a note dropdown and an octave input, listed from the lowest string to the highest.
+ * Editing any string switches the preset to the matching built-in tuning or to 'Custom'.
+ */
+function renderTuningEditor() {
+    elements.layers.tuningEditor.innerHTML = ''; // Clear existing string editors
+    elements.inputs.tuningPreset.value = state.tuningId; // Sync the preset dropdown
+    
+    // Iterate from the lowest string (last index) to the highest, the way tunings are usually read
+    for (let s = state.tuning.length - 1; s >= 0; s--) {
+        const midi = state.tuning[s];
+        const editor = document.createElement('div'); // Container for one string's controls
+        editor.className = 'tuning-string';
+        
+        // Note dropdown with all 12 pitch classes
+        const noteSelect = document.createElement('select');
+        noteSelect.className = 'tuning-note';
+        noteSelect.title = `String ${s + 1} note`;
+        CONFIG.notes.forEach((note, idx) => noteSelect.add(new Option(note, idx)));
+        noteSelect.value = midi % 12;
+        
+        // Octave input in scientific pitch notation (E2 = low E on a 6-string guitar)
+        const octaveInput = document.createElement('input');
+        octaveInput.type = 'number';
+        octaveInput.className = 'tuning-octave';
+        octaveInput.title = `String ${s + 1} octave`;
+        octaveInput.min = 0;
+        octaveInput.max = 8;
+        octaveInput.value = Math.floor(midi / 12) - 1;
+        
+        // Rebuild the MIDI pitch from both inputs whenever either changes
+        const onEdit = () => {
+            const octave = Math.min(8, Math.max(0, parseInt(octaveInput.value) || 0));
+            state.tuning[s] = (octave + 1) * 12 + parseInt(noteSelect.value);
+            state.tuningId = findTuningPreset(state.tuning);
+            updateAll();
+            commitState();
+        };
+        noteSelect.onchange = onEdit;
+        octaveInput.onchange = onEdit;
+        
+        editor.appendChild(noteSelect);
+        editor.appendChild(octaveInput);
+        elements.layers.tuningEditor.appendChild(editor);
+    }
+}
+
+/**
+ * Creates an interactive note spot for a single string and fret position.
+ * Displays the interval name or note name based on the labelType setting,
+ * and only shows a label when the note is in the current scale.
+ * @param {number} stringIndex - The index of the string (0 is the highest).
+ * @param {number} fret - The fret number (0 for open string).
+ * @returns {HTMLElement} - The note spot element containing its marker.
+ */
+function createNoteSpot(stringIndex, fret) {
+    const noteData = getNoteInfo(stringIndex, fret); // Get note information for this position
+    const id = `${stringIndex}-${fret}`; // Create unique identifier for this note spot
+    
+    // Create container for the note spot
+    const spot = document.createElement('div');
+    spot.className = 'note-spot';
+    spot.dataset.id = id; // Lets playback find the marker of a sounding note
+    
+    // Create the visible note marker element
+    const marker = document.createElement('div');
+    marker.className = 'note-marker';
+    
+    // Only render notes that exist in the current scale
+    if (noteData.inScale) {
+        // Display interval name or note name based on labelType setting
+        marker.innerText = (state.labelType === 'interval') ? noteData.intervalName : noteData.noteName;
+        
+        // Mark labelled notes so the reference column can hint at them
+        marker.classList.add('in-scale');
+        
+        // Highlight root notes with special styling
+        if (noteData.isRoot) marker.classList.add('root');
+        
+        // Apply active styling if this note has been selected
+        if (state.selectedNotes.has(id)) marker.classList.add('active');
+    }
+    
+    // Pressing a spot toggles it and starts a drag; dragging over other spots paints the same state
+    spot.onpointerdown = (e) => {
+        if (e.button !== 0) return; // Primary button or touch only
+        if (e.target.releasePointerCapture) e.target.releasePointerCapture(e.pointerId); // Let touch drags reach other spots
+        noteDrag.active = true;
+        noteDrag.select = !state.selectedNotes.has(id); // Select if not already selected, deselect otherwise
+        noteDrag.gesture++; // New gesture, so history coalesces only this drag
+        setNoteSelected(id, noteDrag.select);
+        playNote(stringIndex, fret); // Sound the exact pitch of this position
+    };
+    spot.onpointerenter = () => {
+        if (noteDrag.active) setNoteSelected(id, noteDrag.select);
+    };
+    
+    spot.appendChild(marker); // Add marker to spot container
+    return spot;
+}
+
+// Drag state for painting notes: whether a drag is in progress, whether it selects or deselects, and a gesture counter
+const noteDrag = { active: false, select: true, gesture: 0 };
+
+// End note painting wherever the pointer is released
+window.addEventListener('pointerup', () => { noteDrag.active = false; });
+window.addEventListener('pointercancel', () => { noteDrag.active = false; });
+
+/**
+ * Selects or deselects a note position and records the change.
+ * @param {string} id - The note id ('string-fret').
+ * @param {boolean} selected - Whether the note should be selected.
+ */
+function setNoteSelected(id, selected) {
+    if (state.selectedNotes.has(id) === selected) return; // Already in the painted state
+    if (selected) {
+        state.selectedNotes.add(id);
+    } else {
+        state.selectedNotes.delete(id);
+    }
+    // A manual edit no longer matches the displayed voicing, so drop its string marks
+    if (state.voicing) {
+        state.voicing = null;
+        renderStringNames();
+    }
+    renderNotes(); // Re-render to update visual states
+    commitState(); // Record the new selection
+}
+
 /**
  * Renders the note markers on the fretboard.
- * Creates interactive note spots for each string and fret position.
- * Displays interval names or note names based on labelType setting.
- * Only shows notes that are in the current scale.
+ * Creates interactive note spots for each string and fret position,
+ * then refreshes the open string column so both stay in sync.
  */
 function renderNotes() {
     elements.layers.notes.innerHTML = ''; // Clear existing note markers
     elements.layers.notes.style.gridTemplateColumns = `repeat(${state.fretCount}, 1fr)`; // Set grid layout based on fret count
     
-    // Iterate over all strings (6 strings on guitar)
-    for (let s = 0; s < 6; s++) {
+    // Iterate over all strings of the current tuning
+    for (let s = 0; s < state.tuning.length; s++) {
         // Iterate over all frets in the current view
         for (let f = 0; f < state.fretCount; f++) {
             const actualFret = state.startFret + f + 1; // Calculate the actual fret number
-            const noteData = getNoteInfo(s, actualFret); // Get note information for this position
-            const id = `${s}-${actualFret}`; // Create unique identifier for this note spot
-            
-            // Create container for the note spot
-            const spot = document.createElement('div');
-            spot.className = 'note-spot';
-            
-            // Create the visible note marker element
-            const marker = document.createElement('div');
-            marker.className = 'note-marker';
-            
-            // Only render notes that exist in the current scale
-            if (noteData.inScale) {
-                // Display interval name or note name based on labelType setting
-                marker.innerText = (state.labelType === 'interval') ? noteData.intervalName : noteData.noteName;
-                
-                // Highlight root notes with special styling
-                if (noteData.isRoot) marker.classList.add('root');
-                
-                // Apply active styling if this note has been selected
-                if (state.selectedNotes.has(id)) marker.classList.add('active');
-            }
-            
-            // Add click handler for note selection/deselection
-            spot.onclick = () => {
-                if (state.selectedNotes.has(id)) {
-                    state.selectedNotes.delete(id); // Deselect if already selected
-                } else {
-                    state.selectedNotes.add(id); // Select if not already selected
-                }
-                renderNotes(); // Re-render to update visual states
-            };
-            
-            spot.appendChild(marker); // Add marker to spot container
-            elements.layers.notes.appendChild(spot); // Add spot to notes layer
+            elements.layers.notes.appendChild(createNoteSpot(s, actualFret)); // Add spot to notes layer
         }
     }
+    
+    renderOpenStrings(); // Keep the open string column in sync with the notes layer
+    renderAnalysis(); // Name whatever the selected notes now form
+    renderTabPreview(); // Keep the text tab preview in sync, if it is open
+}
+
+/**
+ * Renders the open string column (fret 0) to the left of the nut.
+ * The column is always shown when the board starts at the nut. When the first fret
+ * is above 0 it is hidden, unless enabled as a dimmed reference column.
+ */
+function renderOpenStrings() {
+    const column = elements.layers.openStrings;
+    const isReference = state.startFret > 0; // Open strings are not adjacent to the visible frets
+    const isVisible = !isReference || state.showOpenReference; // Hide detached column unless requested
+    
+    column.innerHTML = ''; // Clear existing open string spots
+    column.classList.toggle('reference', isReference); // Dim the column when it is only a reference
+    elements.wrapper.classList.toggle('has-open-strings', isVisible); // Let layout and export account for the column
+    if (!isVisible) return;
+    
+    // One spot per string, using fret 0 for the open string note
+    for (let s = 0; s < state.tuning.length; s++) {
+        column.appendChild(createNoteSpot(s, 0));
+    }
 }
 
 /**
@@ -251,6 +841,26 @@ function updateTheme() {
     elements.inputs.themeType.value = state.theme;
 }
 
+/**
+ * Syncs the fret range, root and label inputs with the state.
+ * Needed whenever the state is replaced as a whole (shared links, history navigation).
+ */
+function syncInputs() {
+    elements.inputs.fretCount.value = state.fretCount;
+    elements.inputs.startFret.value = state.startFret;
+    elements.inputs.rootNote.value = state.rootNote;
+    elements.inputs.labelType.value = state.labelType;
+}
+
+/**
+ * Syncs the open string reference checkbox with the current fret range.
+ * The checkbox only matters when the first fret is above 0, otherwise the column is always shown.
+ */
+function updateOpenToggle() {
+    elements.inputs.showOpen.disabled = state.startFret === 0; // Column is always visible at the nut
+    elements.inputs.showOpen.checked = state.startFret === 0 || state.showOpenReference;
+}
+
 /**
  * Updates all visual elements of the fretboard.
  * This is the main rendering function called whenever the fretboard configuration changes.
@@ -258,12 +868,20 @@ function updateTheme() {
  */
 function updateAll() {
     updateTheme(); // Apply the current theme styling to the fretboard
-    renderStringNames(); // Render the string name labels (e, B, G, D, A, E)
+    elements.inputs.instrument.value = state.instrument; // Sync the instrument dropdown
+    populateTuningPresets(); // List the tuning presets of the current instrument
+    renderTuningEditor(); // Render the per-string tuning editor
+    updateBoardSize(); // Size the board for the current string count
+    renderStringNames(); // Render the string name labels derived from the tuning
     renderRoman(); // Render Roman numeral fret indicators
     renderFrets(); // Render fret markers and numbers
-    renderStrings(); // Render the guitar strings
-    renderNotes(); // Render note markers and labels on the fretboard
-    handleColorChange(); // Render picked custom root note and notes color 
+    renderStrings(); // Render the strings with their gauges
+    renderNotes(); // Render note markers and labels on the fretboard (including open strings)
+    updateOpenToggle(); // Sync the open string reference checkbox
+    updateModeControls(); // Show the scale or chord dropdown
+    updateVoicingControls(); // Sync the voicing finder with the current instrument and mode
+    syncInputs(); // Reflect the remaining state values in their inputs
+    applyColors(); // Render picked custom root note and notes color 
 }
 
 
@@ -275,142 +893,725 @@ function updateAll() {
 elements.inputs.fretCount.onchange = (e) => { 
     state.fretCount = parseInt(e.target.value); 
     updateAll(); 
+    commitState(); 
 };
 
 // Handle start fret changes - requires full re-render of fretboard layout
 elements.inputs.startFret.onchange = (e) => { 
     state.startFret = parseInt(e.target.value); 
     updateAll(); 
+    commitState(); 
+};
+
+// Handle open string reference toggle - only notes need re-rendering since the column lives with them
+elements.inputs.showOpen.onchange = (e) => { 
+    state.showOpenReference = e.target.checked; 
+    renderNotes(); 
+    commitState(); 
+};
+
+// Handle instrument changes - loads the instrument's standard tuning and rebuilds every layer
+elements.inputs.instrument.onchange = (e) => { 
+    state.instrument = e.target.value;
+    state.tuningId = 'standard';
+    state.tuning = [...getInstrument().tunings.standard.strings];
+    // Drop selections on strings the new instrument does not have
+    state.selectedNotes = new Set([...state.selectedNotes].filter(id => 
+        parseInt(id) < state.tuning.length
+    ));
+    updateAll(); 
+    commitState(); 
+};
+
+// Handle tuning preset changes - string names, strings and notes all depend on the tuning
+elements.inputs.tuningPreset.onchange = (e) => { 
+    const preset = getInstrument().tunings[e.target.value];
+    state.tuningId = e.target.value;
+    if (preset) state.tuning = [...preset.strings]; // 'Custom' keeps the current tuning for editing
+    updateAll(); 
+    commitState(); 
 };
 
 // Handle root note changes - only notes need re-rendering since layout stays same
 elements.inputs.rootNote.onchange = (e) => { 
     state.rootNote = e.target.value; 
     renderNotes(); 
+    commitState(); 
 };
 
 // Handle scale type changes - only notes need re-rendering since layout stays same
 elements.inputs.scaleType.onchange = (e) => { 
     state.scaleType = e.target.value; 
+    updateScaleInfo(); 
+    renderNotes(); 
+    commitState(); 
+};
+
+// Handle scale/chord mode changes - swaps the type dropdown and re-renders notes
+elements.inputs.modeType.onchange = (e) => { 
+    state.mode = e.target.value; 
+    updateModeControls(); 
     renderNotes(); 
+    commitState(); 
+};
+
+// Handle chord type changes - only notes need re-rendering since layout stays same
+elements.inputs.chordType.onchange = (e) => { 
+    state.chordType = e.target.value; 
+    updateScaleInfo(); 
+    updateVoicingControls(); 
+    renderNotes(); 
+    commitState(); 
 };
 
 // Handle label type changes - only notes need re-rendering to update displayed text
 elements.inputs.labelType.onchange = (e) => { 
     state.labelType = e.target.value; 
     renderNotes(); 
+    commitState(); 
 };
 
 // Handle theme type changes - only theme styling needs updating
 elements.inputs.themeType.onchange = (e) => { 
     state.theme = e.target.value; 
     updateTheme(); 
+    commitState(); 
 };
 
 
 /**
  * Export functionality for the fretboard visualizer
- * Allows users to download the fretboard as a PNG image
+ * Allows users to download the fretboard as a PNG image, with size, padding, background
+ * and the included parts set in the export settings dialog
  */
 
 // Reference the export button element from the DOM
 elements.inputs.exportBtn = document.getElementById('export-png');
 
-// Handle export button click event
-elements.inputs.exportBtn.onclick = async () => {
-    // Get references to the wrapper and fretboard elements
+/**
+ * Saves a file through the native save dialog when available, otherwise as a download.
+ * The dialog needs a recent click, so after a long render it may refuse to open; the file is then downloaded instead.
+ * @param {Blob} blob - The file content.
+ * @param {string} fileName - Suggested file name, including its extension.
+ * @param {string} description - File type description shown in the save dialog (e.g. 'PNG Image').
+ * @returns {Promise<boolean>} - True when the file was saved or its download started, false when cancelled.
+ */
+async function saveFile(blob, fileName, description) {
+    // Check if File System Access API is available (modern browsers)
+    if ('showSaveFilePicker' in window) {
+        try {
+            // Open native file save dialog
+            const handle = await window.showSaveFilePicker({
+                suggestedName: fileName,
+                types: [{
+                    description: description,
+                    accept: { [blob.type]: [fileName.slice(fileName.lastIndexOf('.'))] },
+                }],
+            });
+            
+            // Write the blob to the selected file
+            const writable = await handle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+            return true;
+        } catch (err) {
+            // The user cancelled the dialog
+            if (err.name === 'AbortError') return false;
+            // Other errors (e.g. SecurityError once the click has expired) fall through to a download
+            console.error("Save dialog failed, downloading instead:", err);
+        }
+    }
+    
+    // Fallback for browsers without File System Access API - trigger download via link
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000); // Release once the download has started
+    return true;
+}
+
+// Export settings, shared by the PNG and SVG exports and remembered in localStorage
+const EXPORT_SETTINGS_KEY = 'fretboard-export-settings';
+const EXPORT_DEFAULTS = {
+    scale: 2, // Pixel ratio of the PNG (2 = 192 DPI)
+    width: 0, // Diagram width in pixels; 0 keeps the natural width of 80px per fret
+    padding: 0, // Space around the diagram in pixels
+    background: 'theme', // 'theme', 'transparent' or 'solid'
+    backgroundColor: '#ffffff', // Color of the 'solid' background
+    legend: false, // Include the color legend (PNG only)
+    roman: true, // Include the Roman numeral row
+    fretNumbers: true, // Include the fret number row
+    caption: '' // Title caption above the diagram, none when empty
+};
+let exportSettings = { ...EXPORT_DEFAULTS };
+
+// Reference the export settings dialog elements from the DOM
+elements.inputs.exportSettings = document.getElementById('export-settings');
+elements.inputs.exportScale = document.getElementById('export-scale');
+elements.inputs.exportWidth = document.getElementById('export-width');
+elements.inputs.exportPadding = document.getElementById('export-padding');
+elements.inputs.exportBackground = document.getElementById('export-background');
+elements.inputs.exportBackgroundColor = document.getElementById('export-background-color');
+elements.inputs.exportLegend = document.getElementById('export-legend');
+elements.inputs.exportRoman = document.getElementById('export-roman');
+elements.inputs.exportFretNumbers = document.getElementById('export-fret-numbers');
+elements.inputs.exportCaption = document.getElementById('export-caption');
+elements.layers.exportDialog = document.getElementById('export-dialog');
+elements.layers.exportSize = document.getElementById('export-size');
+
+// Fixed parts of the exported board, in pixels: nut, string names and the open string column
+const EXPORT_NUT_WIDTH = 12;
+const EXPORT_NAMES_WIDTH = 40;
+const EXPORT_OPEN_WIDTH = 44;
+const EXPORT_MIN_FRET_WIDTH = 40; // Narrowest fret that still fits a note marker
+
+/**
+ * Loads the remembered export settings, keeping defaults for anything missing or invalid.
+ */
+function loadExportSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(EXPORT_SETTINGS_KEY) || '{}');
+        exportSettings = normalizeExportSettings({ ...EXPORT_DEFAULTS, ...stored });
+    } catch (err) {
+        console.error('Could not load export settings:', err);
+        exportSettings = { ...EXPORT_DEFAULTS };
+    }
+}
+
+/**
+ * Saves the export settings to localStorage.
+ */
+function saveExportSettings() {
+    try {
+        localStorage.setItem(EXPORT_SETTINGS_KEY, JSON.stringify(exportSettings));
+    } catch (err) {
+        console.error('Could not save export settings:', err);
+    }
+}
+
+/**
+ * Clamps export settings to their valid ranges.
+ * @param {Object} settings - Raw settings.
+ * @returns {Object} - Valid settings.
+ */
+function normalizeExportSettings(settings) {
+    const clampNumber = (value, min, max, fallback) => {
+        const n = parseFloat(value);
+        return Number.isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+    };
+    return {
+        scale: clampNumber(settings.scale, 1, 4, EXPORT_DEFAULTS.scale),
+        width: Math.round(clampNumber(settings.width, 0, 4000, 0)),
+        padding: Math.round(clampNumber(settings.padding, 0, 200, 0)),
+        background: ['theme', 'transparent', 'solid'].includes(settings.background) ? settings.background : 'theme',
+        backgroundColor: /^#[0-9a-f]{6}$/i.test(settings.backgroundColor) ? settings.backgroundColor : EXPORT_DEFAULTS.backgroundColor,
+        legend: Boolean(settings.legend),
+        roman: Boolean(settings.roman),
+        fretNumbers: Boolean(settings.fretNumbers),
+        caption: String(settings.caption || '').trim()
+    };
+}
+
+/**
+ * Resolves the export background color.
+ * @param {Object} settings - Export settings.
+ * @returns {string|null} - The color, or null for a transparent background.
+ */
+function getExportBackground(settings) {
+    if (settings.background === 'transparent') return null;
+    if (settings.background === 'solid') return settings.backgroundColor;
+    return (DIAGRAM_THEMES[state.theme] || DIAGRAM_THEMES.wood).page; // The clear theme has no page color
+}
+
+/**
+ * Picks a dark caption color for light solid backgrounds, where the theme's light text would vanish.
+ * @param {Object} settings - Export settings.
+ * @returns {string|null} - The caption color, or null to keep the theme's.
+ */
+function getExportCaptionColor(settings) {
+    if (settings.background !== 'solid') return null;
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(settings.backgroundColor.slice(i, i + 2), 16));
+    return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? '#222222' : null; // Perceived brightness
+}
+
+/**
+ * Computes the width of each exported fret: 80px by default, or whatever fills the requested width.
+ * @param {Object} settings - Export settings.
+ * @returns {number} - Fret width in pixels.
+ */
+function getExportFretWidth(settings) {
+    if (!settings.width) return DIAGRAM_LAYOUT.fretWidth;
+    const openWidth = document.querySelector('.fretboard-wrapper').classList.contains('has-open-strings') ? EXPORT_OPEN_WIDTH : 0;
+    const fixedWidth = EXPORT_NUT_WIDTH + EXPORT_NAMES_WIDTH + openWidth + 2 * settings.padding;
+    return Math.max(EXPORT_MIN_FRET_WIDTH, (settings.width - fixedWidth) / state.fretCount);
+}
+
+/**
+ * Fills the export dialog from the settings and shows the resulting image size.
+ */
+function syncExportDialog() {
+    elements.inputs.exportScale.value = exportSettings.scale;
+    elements.inputs.exportWidth.value = exportSettings.width;
+    elements.inputs.exportPadding.value = exportSettings.padding;
+    elements.inputs.exportBackground.value = exportSettings.background;
+    elements.inputs.exportBackgroundColor.value = exportSettings.backgroundColor;
+    elements.inputs.exportBackgroundColor.hidden = exportSettings.background !== 'solid';
+    elements.inputs.exportLegend.checked = exportSettings.legend;
+    elements.inputs.exportRoman.checked = exportSettings.roman;
+    elements.inputs.exportFretNumbers.checked = exportSettings.fretNumbers;
+    elements.inputs.exportCaption.value = exportSettings.caption;
+    
+    const openWidth = document.querySelector('.fretboard-wrapper').classList.contains('has-open-strings') ? EXPORT_OPEN_WIDTH : 0;
+    const width = Math.round(getExportFretWidth(exportSettings) * state.fretCount) + EXPORT_NUT_WIDTH + EXPORT_NAMES_WIDTH + openWidth + 2 * exportSettings.padding;
+    elements.layers.exportSize.innerText = `PNG: ${Math.round(width * exportSettings.scale)}px wide (${Math.round(96 * exportSettings.scale)} DPI)`;
+}
+
+/**
+ * Renders the on-screen board to a PNG with the given export settings.
+ * The board is laid out off-screen at export size, optionally with a caption and the legend,
+ * captured with html2canvas and then restored.
+ * @param {Object} settings - Export settings.
+ * @returns {Promise<Blob>} - The PNG image.
+ */
+async function renderBoardPng(settings) {
+    // Get references to the wrapper and the legend
     const wrapper = document.querySelector('.fretboard-wrapper');
-    const romanRow = document.getElementById('roman-indicators');
-    const fretboard = document.getElementById('fretboard');
+    const legend = document.querySelector('.fretboard-legend');
+    const legendParent = legend.parentNode;
+    const legendPlace = legend.nextSibling; // Where the legend goes back to
     
     // Define pixel widths for export calculation
-    const FRET_WIDTH = 80; // Width of each fret in pixels
-    const NUT_WIDTH = 12; // Width of the nut (leftmost part) in pixels
-    const NAMES_WIDTH = 40; // Width of string names column in pixels
-    const totalContentWidth = (state.fretCount * FRET_WIDTH) + NUT_WIDTH + NAMES_WIDTH; // Total width needed
+    const fretWidth = getExportFretWidth(settings);
+    const openWidth = wrapper.classList.contains('has-open-strings') ? EXPORT_OPEN_WIDTH : 0; // Width of the open string column when shown
+    const totalContentWidth = Math.ceil(state.fretCount * fretWidth) + EXPORT_NUT_WIDTH + EXPORT_NAMES_WIDTH + openWidth; // Total width needed
 
     // Save original wrapper styles to restore later
     const originalWrapperStyle = wrapper.style.cssText;
     
-    // Add CSS class to indicate export mode is active
+    // Add CSS classes for export mode and the parts left out
     document.body.classList.add('is-exporting');
+    document.body.classList.toggle('export-no-roman', !settings.roman);
+    document.body.classList.toggle('export-no-numbers', !settings.fretNumbers);
 
     // Temporarily resize and reposition wrapper for consistent export size
+    const bottomPadding = settings.padding + (settings.fretNumbers ? 30 : 0); // Fret numbers hang below the board
+    wrapper.style.setProperty('--export-fret-width', `${fretWidth}px`);
     wrapper.style.width = totalContentWidth + "px";
     wrapper.style.minWidth = totalContentWidth + "px";
+    wrapper.style.padding = `${settings.padding}px ${settings.padding}px ${bottomPadding}px`;
     wrapper.style.position = "absolute";
     wrapper.style.left = "-20000px"; // Position off-screen to avoid visual flicker
     wrapper.style.overflow = "visible";
-
-    // Determine if background should be transparent based on theme
-    const isTransparent = (state.theme === 'clear');
     
-    // Allow DOM to settle before capturing canvas
-    await new Promise(resolve => setTimeout(resolve, 200));
+    // Optional caption above and legend below the board
+    const caption = document.createElement('div');
+    caption.className = 'export-caption';
+    caption.innerText = settings.caption;
+    caption.style.color = getExportCaptionColor(settings) || '';
+    if (settings.caption) wrapper.insertBefore(caption, wrapper.firstChild);
+    if (settings.legend) wrapper.appendChild(legend);
+    
+    // Let fonts load and the new layout paint before capturing the canvas
+    if (document.fonts) await document.fonts.ready;
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
 
     try {
         // Generate canvas from the DOM element using html2canvas library
         const canvas = await html2canvas(wrapper, {
-            backgroundColor: isTransparent ? null : "#121212", // Transparent for 'clear' theme, dark for 'wood'
-            scale: 2, // High DPI for crisp output
+            backgroundColor: getExportBackground(settings), // null keeps the background transparent
+            scale: settings.scale, // Pixel ratio of the output
             logging: false, // Disable console logging
             useCORS: true, // Enable CORS for external resources
-            width: totalContentWidth,
+            width: wrapper.offsetWidth,
             height: wrapper.offsetHeight,
-            windowWidth: totalContentWidth + 100 // Extra width for rendering buffer
+            windowWidth: wrapper.offsetWidth + 100 // Extra width for rendering buffer
         });
-
-        // Generate filename based on root note
-        const fileName = `guitar-fretboard-${state.rootNote}.png`;
-
-        // Check if File System Access API is available (modern browsers)
-        if ('showSaveFilePicker' in window) {
-            try {
-                // Open native file save dialog
-                const handle = await window.showSaveFilePicker({
-                    suggestedName: fileName,
-                    types: [{
-                        description: 'PNG Image',
-                        accept: { 'image/png': ['.png'] },
-                    }],
-                });
-                
-                // Convert canvas to blob and write to selected file
-                canvas.toBlob(async (blob) => {
-                    const writable = await handle.createWritable();
-                    await writable.write(blob);
-                    await writable.close();
-                }, 'image/png');
-
-            } catch (err) {
-                // Silently handle user cancellation (AbortError), log other errors
-                if (err.name !== 'AbortError') console.error("Error during saving:", err);
-            }
-        } else {
-            // Fallback for browsers without File System Access API
-            // Convert canvas to data URL and trigger download via link
-            const image = canvas.toDataURL("image/png");
-            const link = document.createElement('a');
-            link.download = fileName;
-            link.href = image;
-            link.click();
-        }
-        
-    } catch (error) {
-        // Log any errors that occur during export process
-        console.error("Export failed:", error);
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
     } finally {
-        // Cleanup: restore original wrapper styles and remove export mode class
-        document.body.classList.remove('is-exporting');
+        // Cleanup: put the legend back, restore original wrapper styles and remove export mode classes
+        caption.remove();
+        legendParent.insertBefore(legend, legendPlace);
+        document.body.classList.remove('is-exporting', 'export-no-roman', 'export-no-numbers');
         wrapper.style.cssText = originalWrapperStyle;
     }
-};
-
+}
+
+// Handle export button click event
+elements.inputs.exportBtn.onclick = async () => {
+    try {
+        // Render with the remembered settings and save under a filename based on root note
+        const blob = await renderBoardPng(exportSettings);
+        await saveFile(blob, `guitar-fretboard-${state.rootNote}.png`, 'PNG Image');
+    } catch (error) {
+        // Log any errors that occur during export process
+        console.error("Export failed:", error);
+    }
+};
+
+// Handle export settings button click - opens the settings dialog
+elements.inputs.exportSettings.onclick = () => {
+    syncExportDialog();
+    elements.layers.exportDialog.showModal();
+};
+
+// Handle changes in the export settings dialog - every change is remembered at once
+elements.layers.exportDialog.addEventListener('change', () => {
+    exportSettings = normalizeExportSettings({
+        scale: elements.inputs.exportScale.value,
+        width: elements.inputs.exportWidth.value,
+        padding: elements.inputs.exportPadding.value,
+        background: elements.inputs.exportBackground.value,
+        backgroundColor: elements.inputs.exportBackgroundColor.value,
+        legend: elements.inputs.exportLegend.checked,
+        roman: elements.inputs.exportRoman.checked,
+        fretNumbers: elements.inputs.exportFretNumbers.checked,
+        caption: elements.inputs.exportCaption.value
+    });
+    saveExportSettings();
+    syncExportDialog();
+});
+
+
+
+/**
+ * SVG export
+ * Builds a vector fretboard directly from the state instead of screenshotting the DOM.
+ * Geometry and colors mirror the on-screen board, so the SVG matches what is displayed.
+ */
+
+// Layout of the generated diagram, in SVG user units (pixels)
+const DIAGRAM_LAYOUT = {
+    fretWidth: 80, // Width of each fret cell
+    nutWidth: 12, // Width of the nut
+    namesWidth: 50, // String names column, including its padding
+    openWidth: 44, // Open string column
+    stringSpacing: 40, // Vertical space per string
+    romanHeight: 38, // Roman numeral row above the board, including its gap
+    numbersHeight: 30, // Fret number row below the board
+    rightMargin: 10, // Space right of the last fret
+    markerRadius: 16 // Note marker radius
+};
+
+// Colors of each theme, matching style.css
+const DIAGRAM_THEMES = {
+    wood: {
+        page: '#121212', board: '#2c1e14', fret: '#d4af37', fretWidth: 3, nut: '#8e8e8e',
+        string: '#bdc3c7', inlay: 'rgba(255,255,255,0.15)', names: '#888', roman: '#baac91', numbers: '#666',
+        markerText: '#ffffff', markerStroke: 'rgba(255,255,255,0.2)', separator: '#444', caption: '#ecf0f1'
+    },
+    clear: {
+        page: null, board: null, fret: '#444', fretWidth: 1, nut: '#8e8e8e', boardEdge: '#333',
+        string: '#555', inlay: 'rgba(255,255,255,0.05)', names: '#888', roman: '#baac91', numbers: '#666',
+        markerText: '#ffffff', markerStroke: 'rgba(255,255,255,0.2)', separator: '#444', caption: '#ecf0f1'
+    },
+    // Ink-saving colors for white paper (worksheets)
+    paper: {
+        page: '#ffffff', board: null, fret: '#222', fretWidth: 1.5, nut: '#222', boardEdge: null,
+        string: '#444', inlay: '#d5d5d5', names: '#222', roman: '#555', numbers: '#444',
+        markerText: '#ffffff', markerStroke: '#222', separator: '#999', caption: '#222'
+    }
+};
+
+/**
+ * Builds a renderer-independent model of the current diagram.
+ * Holds everything a diagram shows: strings, visible frets, inlays and the selected in-scale notes with labels.
+ * @returns {Object} - The diagram model.
+ */
+function buildDiagramModel() {
+    const openVisible = state.startFret === 0 || state.showOpenReference;
+    const frets = [];
+    for (let i = 0; i < state.fretCount; i++) frets.push(state.startFret + i + 1);
+    
+    // Selected notes that are displayed: in scale, inside the window or in the shown open column
+    const notes = [];
+    state.tuning.forEach((midi, s) => {
+        [0].concat(frets).forEach(fret => {
+            if (fret === 0 && !openVisible) return;
+            if (!state.selectedNotes.has(`${s}-${fret}`)) return;
+            const info = getNoteInfo(s, fret);
+            if (!info.inScale) return;
+            notes.push({
+                string: s,
+                fret: fret,
+                label: state.labelType === 'interval' ? info.intervalName : info.noteName,
+                noteName: info.noteName,
+                isRoot: info.isRoot
+            });
+        });
+    });
+    
+    const typeName = state.mode === 'chord' 
+        ? CONFIG.chords[state.chordType].name 
+        : CONFIG.scales[state.scaleType].name;
+    const tuningName = state.tuningId === 'custom' ? 'Custom tuning' : getInstrument().tunings[state.tuningId].name;
+    return {
+        title: `${state.rootNote} ${typeName}`,
+        subtitle: `${getInstrument().name}, ${tuningName}`,
+        theme: state.theme,
+        colors: { root: state.rootColor, note: state.noteColor },
+        strings: getStringNames(state.tuning).map((name, s) => ({ name: name, thickness: gaugeToPixels(getInstrument().gauges[s]) })),
+        frets: frets,
+        openColumn: openVisible ? (state.startFret > 0 ? 'reference' : 'open') : null,
+        inlays: frets.filter(fret => CONFIG.markers.includes(fret)).map(fret => ({ fret: fret, double: fret % 12 === 0 })),
+        notes: notes
+    };
+}
+
+/**
+ * Escapes text for use inside SVG markup.
+ * @param {string} text - Raw text.
+ * @returns {string} - Escaped text.
+ */
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+/**
+ * Lays out a diagram model as a list of positioned shapes.
+ * Both the SVG and the PDF renderer draw from this list, so every output shares one geometry.
+ * Shapes are rects, lines, circles and texts in pixel coordinates (y pointing down), tagged with a group name.
+ * @param {Object} model - A model from buildDiagramModel.
+ * @param {Object} [options] - Layout options.
+ * @param {boolean|string} [options.background=true] - Fill the page with the theme background (wood theme only), or with this color.
+ * @param {boolean} [options.roman=true] - Draw the Roman numeral row.
+ * @param {boolean} [options.fretNumbers=true] - Draw the fret number row.
+ * @param {number} [options.width=0] - Total width to stretch the frets to; 0 keeps the natural fret width.
+ * @param {number} [options.padding=0] - Space around the diagram.
+ * @param {string} [options.caption=''] - Title caption above the diagram.
+ * @param {string} [options.captionColor] - Caption color instead of the theme's.
+ * @returns {Object} - The layout with its width, height and shapes.
+ */
+function layoutDiagram(model, options = {}) {
+    const opts = { background: true, roman: true, fretNumbers: true, width: 0, padding: 0, caption: '', ...options };
+    const L = DIAGRAM_LAYOUT;
+    const colors = DIAGRAM_THEMES[model.theme] || DIAGRAM_THEMES.wood;
+    const pad = opts.padding;
+    
+    // Horizontal layout: names | open column | nut | frets
+    const openWidth = model.openColumn ? L.openWidth : 0;
+    const namesX = pad + L.namesWidth; // Right edge of the string names column
+    const nutX = namesX + openWidth;
+    const boardX = nutX + L.nutWidth;
+    const fixedWidth = boardX + L.rightMargin + pad;
+    const fretWidth = opts.width ? Math.max(EXPORT_MIN_FRET_WIDTH, (opts.width - fixedWidth) / model.frets.length) : L.fretWidth;
+    const boardWidth = model.frets.length * fretWidth;
+    const width = fixedWidth + boardWidth;
+    
+    // Vertical layout: caption | roman row | board | fret numbers
+    const captionHeight = opts.caption ? 30 : 0;
+    const boardY = pad + captionHeight + (opts.roman ? L.romanHeight : 10);
+    const boardHeight = model.strings.length * L.stringSpacing;
+    const height = boardY + boardHeight + (opts.fretNumbers ? L.numbersHeight : 10) + pad;
+    const stringY = s => boardY + (s + 0.5) * L.stringSpacing;
+    const fretCenterX = fret => fret === 0 
+        ? namesX + openWidth / 2 
+        : boardX + (model.frets.indexOf(fret) + 0.5) * fretWidth;
+    
+    const shapes = [];
+    const add = (group, shape) => shapes.push({ group: group, ...shape });
+    
+    const page = typeof opts.background === 'string' ? opts.background : (opts.background && colors.page);
+    if (page) add('background', { type: 'rect', x: 0, y: 0, w: width, h: height, fill: page });
+    if (opts.caption) add('caption', { type: 'text', x: pad, y: pad + 20, text: opts.caption, size: 18, bold: true, fill: opts.captionColor || colors.caption });
+    
+    // Board and nut
+    if (colors.board) add('board', { type: 'rect', x: nutX, y: boardY, w: boardWidth + L.nutWidth, h: boardHeight, rx: 4, fill: colors.board });
+    if (colors.boardEdge) add('board', { type: 'line', x1: boardX, y1: boardY + boardHeight, x2: boardX + boardWidth, y2: boardY + boardHeight, stroke: colors.boardEdge, width: 1 });
+    add('board', { type: 'rect', x: nutX, y: boardY, w: L.nutWidth, h: boardHeight, fill: colors.nut });
+    
+    // Fret wires on the right edge of each fret cell
+    model.frets.forEach((fret, i) => {
+        const x = boardX + (i + 1) * fretWidth - colors.fretWidth / 2;
+        add('frets', { type: 'line', x1: x, y1: boardY, x2: x, y2: boardY + boardHeight, stroke: colors.fret, width: colors.fretWidth });
+    });
+    
+    // Inlay dots: single in the middle, double at the octaves
+    model.inlays.forEach(inlay => {
+        (inlay.double ? [0.35, 0.65] : [0.5]).forEach(ratio => {
+            add('inlays', { type: 'rect', x: fretCenterX(inlay.fret) - 8, y: boardY + boardHeight * ratio - 8, w: 16, h: 16, rx: 4, fill: colors.inlay });
+        });
+    });
+    
+    // Strings across the board, with faint segments through the open column
+    model.strings.forEach((str, s) => {
+        const y = stringY(s);
+        add('strings', { type: 'rect', x: boardX, y: y - str.thickness / 2, w: boardWidth, h: str.thickness, fill: colors.string });
+        if (model.openColumn) {
+            add('strings', { type: 'line', x1: namesX, y1: y, x2: nutX, y2: y, stroke: colors.string, width: 1, opacity: 0.4 });
+        }
+    });
+    if (model.openColumn === 'reference') {
+        add('strings', { type: 'line', x1: nutX - 0.5, y1: boardY, x2: nutX - 0.5, y2: boardY + boardHeight, stroke: colors.separator, width: 1, dash: [3, 3] });
+    }
+    
+    // Note markers with their labels (open notes are dimmed in the reference column)
+    model.notes.forEach(note => {
+        const x = fretCenterX(note.fret);
+        const y = stringY(note.string);
+        const opacity = note.fret === 0 && model.openColumn === 'reference' ? 0.7 : 1;
+        add('notes', { type: 'circle', cx: x, cy: y, r: L.markerRadius, fill: note.isRoot ? model.colors.root : model.colors.note, stroke: colors.markerStroke, opacity: opacity });
+        add('notes', { type: 'text', x: x, y: y, text: note.label, size: 11, bold: true, fill: colors.markerText, anchor: 'middle', middle: true, opacity: opacity });
+    });
+    
+    // String names, right-aligned next to the open column or nut
+    model.strings.forEach((str, s) => {
+        add('string-names', { type: 'text', x: namesX - 10, y: stringY(s), text: str.name, size: 14, bold: true, fill: colors.names, anchor: 'end', middle: true });
+    });
+    
+    // Roman numerals above the marker frets
+    if (opts.roman) {
+        model.inlays.forEach(inlay => {
+            add('roman-numerals', { type: 'text', x: fretCenterX(inlay.fret), y: boardY - 12, text: toRoman(inlay.fret), size: 14, bold: true, serif: true, fill: colors.roman, anchor: 'middle' });
+        });
+    }
+    
+    // Fret numbers below the board
+    if (opts.fretNumbers) {
+        model.frets.forEach(fret => {
+            add('fret-numbers', { type: 'text', x: fretCenterX(fret), y: boardY + boardHeight + 20, text: String(fret), size: 11, fill: colors.numbers, anchor: 'middle' });
+        });
+    }
+    
+    return { width: width, height: height, shapes: shapes };
+}
+
+/**
+ * Renders a diagram model as a standalone SVG document.
+ * Every part is drawn as plain shapes and text in named groups, so vector tools can edit it.
+ * @param {Object} model - A model from buildDiagramModel.
+ * @param {Object} [options] - Layout options (see layoutDiagram).
+ * @returns {string} - The SVG markup.
+ */
+function renderDiagramSvg(model, options = {}) {
+    const layout = layoutDiagram(model, options);
+    const fonts = { sans: "'Segoe UI', Roboto, sans-serif", serif: "'Times New Roman', serif" };
+    const opacity = shape => shape.opacity !== undefined && shape.opacity < 1 ? ` opacity="${shape.opacity}"` : '';
+    
+    const toSvg = shape => {
+        switch (shape.type) {
+            case 'rect':
+                return `<rect x="${shape.x}" y="${shape.y}" width="${shape.w}" height="${shape.h}"${shape.rx ? ` rx="${shape.rx}"` : ''} fill="${shape.fill}"${opacity(shape)}/>`;
+            case 'line':
+                return `<line x1="${shape.x1}" y1="${shape.y1}" x2="${shape.x2}" y2="${shape.y2}" stroke="${shape.stroke}" stroke-width="${shape.width}"`
+                    + `${shape.dash ? ` stroke-dasharray="${shape.dash.join(' ')}"` : ''}${opacity(shape)}/>`;
+            case 'circle':
+                return `<circle cx="${shape.cx}" cy="${shape.cy}" r="${shape.r}" fill="${shape.fill}" stroke="${shape.stroke}"${opacity(shape)}/>`;
+            case 'text':
+                return `<text x="${shape.x}" y="${shape.y}"${shape.middle ? ' dy="0.35em"' : ''} font-family="${shape.serif ? fonts.serif : fonts.sans}" `
+                    + `font-size="${shape.size}"${shape.bold ? ' font-weight="bold"' : ''} fill="${shape.fill}" text-anchor="${shape.anchor || 'start'}"${opacity(shape)}>${escapeXml(shape.text)}</text>`;
+            default:
+                return '';
+        }
+    };
+    
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`);
+    parts.push(`<title>${escapeXml(model.title)} (${escapeXml(model.subtitle)})</title>`);
+    
+    // Consecutive shapes of the same group share one <g>, named after the group
+    let group = null;
+    layout.shapes.forEach(shape => {
+        if (shape.group !== group) {
+            if (group) parts.push('</g>');
+            group = shape.group;
+            parts.push(`<g id="${group}">`);
+        }
+        parts.push(toSvg(shape));
+    });
+    if (group) parts.push('</g>');
+    
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+/**
+ * Converts the export settings to SVG layout options.
+ * The legend and the pixel ratio only apply to PNG images.
+ * @param {Object} settings - Export settings.
+ * @returns {Object} - Options for renderDiagramSvg.
+ */
+function getSvgExportOptions(settings) {
+    return {
+        background: settings.background === 'theme' ? true : (getExportBackground(settings) || false),
+        roman: settings.roman,
+        fretNumbers: settings.fretNumbers,
+        width: settings.width,
+        padding: settings.padding,
+        caption: settings.caption,
+        captionColor: getExportCaptionColor(settings)
+    };
+}
+
+// Handle SVG export button click - builds the vector diagram from the state and saves it
+document.getElementById('export-svg').onclick = async () => {
+    const svg = renderDiagramSvg(buildDiagramModel(), getSvgExportOptions(exportSettings));
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    await saveFile(blob, `guitar-fretboard-${state.rootNote}.svg`, 'SVG Image');
+};
+
+// Reference the copy image button and the export status from the DOM
+elements.inputs.copyImage = document.getElementById('copy-image');
+elements.layers.exportStatus = document.getElementById('export-status');
+
+/**
+ * Shows a short message next to the export buttons, cleared after a few seconds.
+ * @param {string} message - Message text.
+ * @param {boolean} [isError=false] - Style it as an error.
+ */
+function setExportStatus(message, isError = false) {
+    const status = elements.layers.exportStatus;
+    status.innerText = message;
+    status.classList.toggle('error', isError);
+    clearTimeout(status.clearTimer);
+    status.clearTimer = setTimeout(() => { status.innerText = ''; }, 4000);
+}
+
+/**
+ * Checks whether the browser can write images to the clipboard.
+ * @returns {boolean} - True when the async Clipboard API with ClipboardItem is available.
+ */
+function canCopyImages() {
+    return Boolean(navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem !== 'undefined');
+}
+
+/**
+ * Copies the diagram to the clipboard as a PNG image, adding the SVG where the browser accepts it.
+ * Both are rendered exactly like the file exports, with the export settings.
+ * @returns {Promise<string[]>} - The copied MIME types.
+ */
+async function copyDiagramImage() {
+    // The PNG is passed as a promise, so the clipboard write starts within the click (needed by Safari)
+    const items = { 'image/png': renderBoardPng(exportSettings) };
+    if (typeof ClipboardItem.supports === 'function' && ClipboardItem.supports('image/svg+xml')) {
+        const svg = renderDiagramSvg(buildDiagramModel(), getSvgExportOptions(exportSettings));
+        items['image/svg+xml'] = new Blob([svg], { type: 'image/svg+xml' });
+    }
+    await navigator.clipboard.write([new ClipboardItem(items)]);
+    return Object.keys(items);
+}
+
+// Handle copy image button click - copies the diagram, or explains how to get it otherwise
+elements.inputs.copyImage.onclick = async () => {
+    if (!canCopyImages()) {
+        setExportStatus('This browser cannot copy images - use Export PNG or Export SVG instead.', true);
+        return;
+    }
+    try {
+        const types = await copyDiagramImage();
+        setExportStatus(types.length > 1 ? 'Copied as PNG and SVG.' : 'Copied as PNG.');
+    } catch (err) {
+        console.error('Copy image failed:', err);
+        setExportStatus('Copying failed - use Export PNG or Export SVG instead.', true);
+    }
+};
+
 
 // Handle theme toggle button click - switches between 'wood' and 'clear' themes
 elements.inputs.themeToggle.onclick = () => {
     state.theme = (state.theme === 'wood') ? 'clear' : 'wood';
     updateTheme();
+    commitState();
 };
 
 // Handle fret count increment button - increases fret count up to maximum of 24
@@ -430,26 +1631,3409 @@ elements.inputs.rootColorPicker = document.getElementById('color-root');
 elements.inputs.noteColorPicker = document.getElementById('color-note');
 
 /**
- * Handles color changes from the color picker inputs.
- * Updates CSS custom properties to reflect the selected colors for root notes and scale notes.
- * Stores the selected colors in the state object for persistence.
+ * Applies the root and note colors from the state.
+ * Updates CSS custom properties and syncs the color pickers, so restored colors show up too.
+ */
+function applyColors() {
+    document.documentElement.style.setProperty('--note-root', state.rootColor); // Update CSS variable for root note color
+    document.documentElement.style.setProperty('--note-blue', state.noteColor); // Update CSS variable for scale note color
+    elements.inputs.rootColorPicker.value = state.rootColor;
+    elements.inputs.noteColorPicker.value = state.noteColor;
+}
+
+// Handle root note color picks - stores the color in state and applies it live
+elements.inputs.rootColorPicker.addEventListener('input', (e) => {
+    state.rootColor = e.target.value; // Store the color in state for persistence
+    applyColors();
+});
+
+// Record the picked color once the picker is closed, rather than on every intermediate value
+elements.inputs.rootColorPicker.addEventListener('change', () => commitState());
+
+// Handle scale note color picks - stores the color in state and applies it live
+elements.inputs.noteColorPicker.addEventListener('input', (e) => {
+    state.noteColor = e.target.value; // Store the color in state for persistence
+    applyColors();
+});
+
+elements.inputs.noteColorPicker.addEventListener('change', () => commitState());
+
+
+/**
+ * Selection analysis
+ * Resolves the selected string/fret ids to pitches through the tuning and names what they form.
+ */
+
+// Reference the analysis panel from the DOM
+elements.layers.analysis = document.getElementById('analysis-panel');
+
+/**
+ * Collects the selected notes that are currently visible on the fretboard.
+ * Selections outside the fret window, on hidden open strings or outside the current scale are skipped.
+ * @returns {Object[]} - The positions sorted from the lowest pitch, each with id, string, fret and MIDI pitch.
+ */
+function getSelectedPositions() {
+    const openVisible = elements.wrapper.classList.contains('has-open-strings');
+    return [...state.selectedNotes].map(id => {
+        const [s, fret] = id.split('-').map(Number);
+        return { id: id, string: s, fret: fret, midi: state.tuning[s] + fret };
+    }).filter(pos => {
+        if (pos.string >= state.tuning.length) return false; // String not on this instrument
+        const inWindow = pos.fret === 0 
+            ? openVisible 
+            : pos.fret > state.startFret && pos.fret <= state.startFret + state.fretCount;
+        return inWindow && getNoteInfo(pos.string, pos.fret).inScale;
+    }).sort((a, b) => a.midi - b.midi);
+}
+
+/**
+ * Builds a 12-bit pitch-class mask (bit 0 = C) from a list of pitch classes.
+ * @param {number[]} pitchClasses - Pitch classes from 0 to 11.
+ * @returns {number} - The mask.
+ */
+function toPitchMask(pitchClasses) {
+    return pitchClasses.reduce((mask, pc) => mask | (1 << (pc % 12)), 0);
+}
+
+/**
+ * Builds the pitch-class mask of an interval formula on a given root.
+ * @param {number} rootIdx - Pitch class of the root.
+ * @param {string[]} formula - Interval names (e.g. ['1', 'b3', '5']).
+ * @returns {number} - The mask.
+ */
+function formulaToMask(rootIdx, formula) {
+    return toPitchMask(formula.map(name => rootIdx + CONFIG.intervalSemitones[name]));
+}
+
+/**
+ * Names the chords formed by a set of pitches.
+ * Every selected pitch class is tried as the root against the chord library; a missing 5th is
+ * tolerated in chords of four or more tones. When the bass is not the root the result is a
+ * slash chord (e.g. C/E) with its inversion, or with its bass tone named when that is not the 3rd,
+ * 5th or 7th (e.g. Cadd9/D, '9 in bass').
+ * @param {number[]} midis - Pitches as MIDI numbers, lowest first.
+ * @returns {Object[]} - Matches ranked best first, each with root, chord id, name and inversion.
+ */
+function identifyChords(midis) {
+    const pitchClasses = [...new Set(midis.map(m => m % 12))];
+    if (pitchClasses.length < 2) return [];
+    const mask = toPitchMask(pitchClasses);
+    const bassIdx = midis[0] % 12;
+    const chordIds = Object.keys(CONFIG.chords);
+    const matches = [];
+    
+    pitchClasses.forEach(rootIdx => {
+        chordIds.forEach((chordId, order) => {
+            const chord = CONFIG.chords[chordId];
+            const full = formulaToMask(rootIdx, chord.formula);
+            const no5th = formulaToMask(rootIdx, chord.formula.filter(name => name !== '5'));
+            const omits5th = chord.formula.length >= 4 && chord.formula.includes('5') && no5th === mask;
+            if (full !== mask && !omits5th) return;
+            
+            // The 3rd, 5th or 7th in the bass makes an inversion; any other tone (e.g. the 9 of add9) is just named
+            const bassTone = chord.formula.find(name => (rootIdx + CONFIG.intervalSemitones[name]) % 12 === bassIdx);
+            const inversion = { '1': 'root position', '3': '1st inversion', '5': '2nd inversion', '7': '3rd inversion' }[bassTone.replace(/[b#]/g, '')];
+            const rootName = spellRoot(rootIdx, chord.formula);
+            matches.push({
+                rootIdx: rootIdx,
+                rootName: rootName,
+                chordId: chordId,
+                name: rootName + chord.symbol + (bassIdx !== rootIdx ? '/' + spellInterval(rootName, bassTone) : ''),
+                inversion: inversion || `${bassTone} in bass`,
+                omits5th: omits5th,
+                // Complete chords first, then root in bass, then simpler chords, then library order
+                rank: (omits5th ? 1000 : 0) + (bassIdx !== rootIdx ? 100 : 0) + chord.formula.length * 10 + order / chordIds.length
+            });
+        });
+    });
+    return matches.sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Counts the pitch classes in a 12-bit mask.
+ * @param {number} mask - A pitch-class mask.
+ * @returns {number} - The number of set bits.
+ */
+function countPitches(mask) {
+    let count = 0;
+    for (let pc = 0; pc < 12; pc++) if (mask & (1 << pc)) count++;
+    return count;
+}
+
+/**
+ * Lists every scale of the library, on every root, that contains a set of pitches.
+ * Candidates are ranked by fit: fewest notes outside the selection first, then scales rooted on a
+ * selected note, on the bass note, and finally library order. The chromatic scale is skipped
+ * since it contains everything.
+ * @param {number[]} midis - Pitches as MIDI numbers, lowest first.
+ * @returns {Object[]} - Candidates best first, each with root, scale id, name and number of extra notes.
+ */
+function identifyScales(midis) {
+    const pitchClasses = [...new Set(midis.map(m => m % 12))];
+    if (pitchClasses.length < 3) return [];
+    const mask = toPitchMask(pitchClasses);
+    const bassIdx = midis[0] % 12;
+    const scaleIds = Object.keys(CONFIG.scales).filter(id => id !== 'chromatic');
+    const candidates = [];
+    
+    for (let rootIdx = 0; rootIdx < 12; rootIdx++) {
+        scaleIds.forEach((scaleId, order) => {
+            const scaleMask = toPitchMask(getScaleSemitones(scaleId).map(semitones => rootIdx + semitones));
+            if ((mask & ~scaleMask) !== 0) return; // Some selected note is outside this scale
+            const extra = countPitches(scaleMask) - pitchClasses.length;
+            const rootName = spellRoot(rootIdx, CONFIG.scales[scaleId].formula);
+            candidates.push({
+                rootIdx: rootIdx,
+                rootName: rootName,
+                scaleId: scaleId,
+                name: `${rootName} ${CONFIG.scales[scaleId].name}`,
+                extra: extra,
+                rank: extra * 100 
+                    + (pitchClasses.includes(rootIdx) ? 0 : 20) 
+                    + (rootIdx === bassIdx ? 0 : 10) 
+                    + order / scaleIds.length
+            });
+        });
+    }
+    return candidates.sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Switches the display to a candidate scale and re-renders the notes.
+ * @param {Object} candidate - A candidate returned by identifyScales.
+ */
+function applyScaleMatch(candidate) {
+    state.mode = 'scale';
+    state.rootNote = candidate.rootName;
+    state.scaleType = candidate.scaleId;
+    elements.inputs.rootNote.value = state.rootNote;
+    elements.inputs.scaleType.value = state.scaleType;
+    updateModeControls();
+    renderNotes();
+    commitState();
+}
+
+/**
+ * Re-roots the display on a recognised chord so intervals relabel from its root.
+ * In chord mode the chord quality follows as well.
+ * @param {Object} match - A match returned by identifyChords.
+ */
+function applyChordMatch(match) {
+    state.rootNote = match.rootName;
+    elements.inputs.rootNote.value = state.rootNote;
+    if (state.mode === 'chord') {
+        state.chordType = match.chordId;
+        updateModeControls();
+    }
+    renderNotes();
+    commitState();
+}
+
+/**
+ * Creates a clickable chord name for the analysis panel.
+ * @param {Object} match - A match returned by identifyChords.
+ * @param {string} className - Class for styling the button.
+ * @returns {HTMLElement} - The button.
+ */
+function createChordButton(match, className) {
+    const btn = document.createElement('button');
+    btn.className = className;
+    btn.innerText = match.name;
+    btn.title = `${CONFIG.chords[match.chordId].name}, ${match.inversion}${match.omits5th ? ', no 5th' : ''} - click to use ${match.rootName} as root`;
+    btn.onclick = () => applyChordMatch(match);
+    return btn;
+}
+
+// Scale matches listed before the rest are folded behind a 'more' button
+const ANALYSIS_SCALE_LIMIT = 16;
+
+// Whether the analysis panel lists every scale match, kept while the selection changes
+let analysisShowAllScales = false;
+
+/**
+ * Renders the analysis panel for the current selection.
+ * Lists the selected notes, the best chord name with its ambiguous alternatives,
+ * and the scales that contain the selection.
+ */
+function renderAnalysis() {
+    const panel = elements.layers.analysis;
+    const positions = getSelectedPositions();
+    panel.innerHTML = ''; // Clear the previous analysis
+    panel.hidden = positions.length === 0;
+    if (positions.length === 0) return;
+    
+    // Selected notes from the lowest pitch
+    const notes = document.createElement('div');
+    notes.className = 'analysis-notes';
+    const names = [...new Set(positions.map(pos => getNoteInfo(pos.string, pos.fret).noteName))];
+    notes.innerText = `Notes: ${names.join(' ')}`;
+    panel.appendChild(notes);
+    
+    // Chord name with alternatives (e.g. Am7 = C6/A)
+    const chordRow = document.createElement('div');
+    chordRow.className = 'analysis-row';
+    const matches = identifyChords(positions.map(pos => pos.midi));
+    if (matches.length === 0) {
+        chordRow.innerText = names.length < 2 ? 'Select more notes to name a chord' : 'No chord match';
+    } else {
+        const label = document.createElement('span');
+        label.className = 'analysis-label';
+        label.innerText = 'Chord:';
+        chordRow.appendChild(label);
+        chordRow.appendChild(createChordButton(matches[0], 'analysis-chord'));
+        
+        const info = document.createElement('span');
+        info.className = 'analysis-info';
+        info.innerText = matches[0].inversion + (matches[0].omits5th ? ', no 5th' : '');
+        chordRow.appendChild(info);
+        
+        if (matches.length > 1) {
+            const also = document.createElement('span');
+            also.className = 'analysis-label';
+            also.innerText = 'Also:';
+            chordRow.appendChild(also);
+            matches.slice(1).forEach(match => chordRow.appendChild(createChordButton(match, 'analysis-alt')));
+        }
+    }
+    panel.appendChild(chordRow);
+    
+    // Scales containing every selected note, best fit first
+    const candidates = identifyScales(positions.map(pos => pos.midi));
+    if (candidates.length > 0) {
+        const scaleRow = document.createElement('div');
+        scaleRow.className = 'analysis-row';
+        const label = document.createElement('span');
+        label.className = 'analysis-label';
+        label.innerText = 'Scales:';
+        scaleRow.appendChild(label);
+        
+        const shown = analysisShowAllScales ? candidates : candidates.slice(0, ANALYSIS_SCALE_LIMIT);
+        shown.forEach(candidate => {
+            const btn = document.createElement('button');
+            btn.className = 'analysis-alt';
+            btn.innerText = candidate.name;
+            btn.title = candidate.extra === 0 
+                ? 'Exact match - click to show this scale' 
+                : `${candidate.extra} more note${candidate.extra > 1 ? 's' : ''} than selected - click to show this scale`;
+            btn.onclick = () => applyScaleMatch(candidate);
+            scaleRow.appendChild(btn);
+        });
+        if (candidates.length > ANALYSIS_SCALE_LIMIT) {
+            const more = document.createElement('button');
+            more.className = 'analysis-more';
+            more.innerText = analysisShowAllScales ? 'Show fewer' : `+${candidates.length - ANALYSIS_SCALE_LIMIT} more`;
+            more.onclick = () => {
+                analysisShowAllScales = !analysisShowAllScales;
+                renderAnalysis();
+            };
+            scaleRow.appendChild(more);
+        }
+        panel.appendChild(scaleRow);
+    }
+}
+
+
+/**
+ * Chord voicing finder
+ * Computes playable voicings (one note per string, muted strings allowed) for the
+ * current root and chord quality, and pages through them on the fretboard.
+ */
+
+// Found voicings and the index of the one currently displayed
+let voicingResults = { list: [], index: -1, title: '' };
+
+// Reference the voicing finder inputs from the DOM
+elements.inputs.voicingMinFret = document.getElementById('voicing-min-fret');
+elements.inputs.voicingMaxFret = document.getElementById('voicing-max-fret');
+elements.inputs.voicingStretch = document.getElementById('voicing-stretch');
+elements.inputs.voicingStrings = document.getElementById('voicing-strings');
+elements.inputs.voicingBass = document.getElementById('voicing-bass');
+elements.inputs.voicingBarre = document.getElementById('voicing-barre');
+elements.inputs.voicingCount = document.getElementById('voicing-count');
+
+/**
+ * Finds playable voicings of a chord on a fretted instrument.
+ * Sounding strings must be adjacent (no muted string between them), every essential chord tone
+ * must be present, and the fretted notes must fit the stretch and four fingers (or a barre plus three).
+ * The perfect 5th, and the 9th/11th under a higher extension, may be left out.
+ * @param {number[]} tuning - Open string pitches as MIDI numbers, high to low.
+ * @param {number} rootIdx - Pitch class of the chord root (0 = C).
+ * @param {string[]} formula - Interval names of the chord tones (e.g. ['1', '3', '5', 'b7']).
+ * @param {Object} options - Search filters.
+ * @param {number} options.minFret - Lowest fret of the search region (0 allows open strings).
+ * @param {number} options.maxFret - Highest fret of the search region.
+ * @param {number} options.maxStretch - Maximum number of frets spanned by fretted notes.
+ * @param {boolean} options.allowBarre - Whether the index finger may barre the lowest fret.
+ * @param {number} options.bassTone - Formula index required in the bass, or -1 for any.
+ * @param {number[]|null} options.strings - String indices that must all sound, or null for any adjacent set of 3 or more.
+ * @param {number} [options.limit=200] - Maximum number of voicings returned, keeping the lowest positions.
+ * @returns {Object[]} - The voicings, each with its frets per string (null = muted) and whether it needs a barre.
+ */
+function findVoicings(tuning, rootIdx, formula, options) {
+    const limit = options.limit || 200;
+    const tones = formula.map(name => (rootIdx + CONFIG.intervalSemitones[name]) % 12); // Pitch class per formula tone
+    const highest = Math.max(...formula.map(name => CONFIG.intervalSemitones[name]));
+    
+    // Tones that may be omitted: the 5th in 4+ note chords, lower extensions under an 11th or 13th
+    const optional = formula.filter(name => 
+        (name === '5' && formula.length >= 4) || 
+        ((name === '9' || name === '11') && CONFIG.intervalSemitones[name] < highest && highest > 14)
+    );
+    const required = formula.filter(name => !optional.includes(name)).map(name => tones[formula.indexOf(name)]);
+    
+    // Candidate frets for each string: every chord tone inside the region, plus muted (null)
+    const candidates = tuning.map((midi, s) => {
+        if (options.strings && !options.strings.includes(s)) return [null]; // String outside the set stays muted
+        const frets = [];
+        for (let f = options.minFret; f <= options.maxFret; f++) {
+            if (tones.includes((midi + f) % 12)) frets.push(f);
+        }
+        return options.strings ? frets : frets.concat([null]); // Strings in an explicit set must sound
+    });
+    
+    const results = [];
+    const frets = new Array(tuning.length);
+    
+    // Depth-first search from the lowest string (last index) up to the highest
+    const search = (s) => {
+        if (s < 0) {
+            const voicing = evaluateVoicing(frets, tuning, tones, required, options);
+            if (voicing) results.push(voicing);
+            return;
+        }
+        for (const f of candidates[s]) {
+            frets[s] = f;
+            if (fitsStretch(frets, s, options.maxStretch)) search(s - 1);
+        }
+    };
+    search(tuning.length - 1);
+    
+    // Lower positions first, then fuller voicings; the limit applies after sorting so it drops the highest positions
+    const position = v => Math.min(...v.frets.filter(f => f !== null && f > 0), 99);
+    const sounding = v => v.frets.filter(f => f !== null).length;
+    return results.sort((a, b) => position(a) - position(b) || sounding(b) - sounding(a)).slice(0, limit);
+}
+
+/**
+ * Checks whether the fretted notes chosen so far stay within the maximum stretch.
+ * @param {Array<number|null>} frets - Frets per string (filled from the last index down to fromString).
+ * @param {number} fromString - The most recently assigned string index.
+ * @param {number} maxStretch - Maximum number of frets spanned by fretted notes.
+ * @returns {boolean} - True when the span is still playable.
+ */
+function fitsStretch(frets, fromString, maxStretch) {
+    const fretted = frets.slice(fromString).filter(f => f !== null && f > 0);
+    if (fretted.length === 0) return true;
+    return Math.max(...fretted) - Math.min(...fretted) < maxStretch;
+}
+
+/**
+ * Validates a complete fret assignment as a playable voicing.
+ * @param {Array<number|null>} frets - Frets per string, high to low (null = muted).
+ * @param {number[]} tuning - Open string pitches as MIDI numbers, high to low.
+ * @param {number[]} tones - Pitch classes of the chord tones, in formula order.
+ * @param {number[]} required - Pitch classes that must be present.
+ * @param {Object} options - Search filters (see findVoicings).
+ * @returns {Object|null} - The voicing, or null when it is not playable or filtered out.
+ */
+function evaluateVoicing(frets, tuning, tones, required, options) {
+    const soundingStrings = frets.map((f, s) => f === null ? -1 : s).filter(s => s >= 0);
+    if (soundingStrings.length < Math.min(3, tones.length)) return null; // Too thin to read as the chord
+    
+    // Sounding strings must be adjacent, without muted strings in between
+    const high = soundingStrings[0];
+    const low = soundingStrings[soundingStrings.length - 1];
+    if (low - high + 1 !== soundingStrings.length) return null;
+    
+    // Every essential chord tone must sound
+    const pitches = soundingStrings.map(s => (tuning[s] + frets[s]) % 12);
+    if (!required.every(pc => pitches.includes(pc))) return null;
+    
+    // Bass filter: the lowest sounding note must be the requested chord tone
+    if (options.bassTone >= 0 && pitches[pitches.length - 1] !== tones[options.bassTone]) return null;
+    
+    // Finger count: four fingers, or a barre on the lowest fret plus three fingers
+    const fretted = soundingStrings.filter(s => frets[s] > 0);
+    if (fretted.length <= 4) return { frets: [...frets], barre: false };
+    if (!options.allowBarre) return null;
+    
+    const barreFret = Math.min(...fretted.map(s => frets[s]));
+    const barred = fretted.filter(s => frets[s] === barreFret);
+    const barreStrings = soundingStrings.filter(s => s >= barred[0] && s <= barred[barred.length - 1]);
+    if (barreStrings.some(s => frets[s] === 0)) return null; // An open string cannot ring under the barre
+    if (fretted.length - barred.length + 1 > 4) return null;
+    return { frets: [...frets], barre: true };
+}
+
+/**
+ * Fills the string set dropdown for the current instrument.
+ * Offers any adjacent set, followed by every group of 3 and 4 adjacent strings.
  */
-function handleColorChange() {
-    // Listen for changes to the root note color picker
-    elements.inputs.rootColorPicker.addEventListener('input', (e) => {
-        const newColor = e.target.value; // Get the selected color value
-        document.documentElement.style.setProperty('--note-root', newColor); // Update CSS variable for root note color
-        state.rootColor = newColor; // Store the color in state for persistence
+function populateVoicingStrings() {
+    const count = state.tuning.length;
+    const previous = elements.inputs.voicingStrings.value;
+    elements.inputs.voicingStrings.innerHTML = ''; // Clear existing options
+    elements.inputs.voicingStrings.add(new Option('Any strings', 'any'));
+    [4, 3].forEach(size => {
+        for (let high = 0; high + size <= count; high++) {
+            // Strings are numbered from 1 (highest) the way players count them
+            elements.inputs.voicingStrings.add(new Option(`Strings ${high + 1}-${high + size}`, `${high}-${high + size - 1}`));
+        }
     });
+    elements.inputs.voicingStrings.value = previous;
+    if (!elements.inputs.voicingStrings.value) elements.inputs.voicingStrings.value = 'any';
+}
 
-    // Listen for changes to the scale note color picker
-    elements.inputs.noteColorPicker.addEventListener('input', (e) => {
-        const newColor = e.target.value; // Get the selected color value
-        document.documentElement.style.setProperty('--note-blue', newColor); // Update CSS variable for scale note color
-        state.noteColor = newColor; // Store the color in state for persistence
+/**
+ * Syncs the voicing finder controls with the current instrument and chord.
+ * Only offers bass filters for inversions the chord actually has.
+ */
+function updateVoicingControls() {
+    populateVoicingStrings();
+    const toneCount = CONFIG.chords[state.chordType].formula.length;
+    Array.from(elements.inputs.voicingBass.options).forEach(option => {
+        option.disabled = parseInt(option.value) >= toneCount;
     });
+    if (elements.inputs.voicingBass.selectedOptions[0].disabled) elements.inputs.voicingBass.value = '-1';
+}
+
+/**
+ * Reads the voicing filters from the inputs.
+ * @returns {Object} - Options for findVoicings.
+ */
+function getVoicingOptions() {
+    const strings = elements.inputs.voicingStrings.value;
+    let stringSet = null; // Any adjacent set
+    if (strings !== 'any') {
+        const [high, low] = strings.split('-').map(Number);
+        stringSet = [];
+        for (let s = high; s <= low; s++) stringSet.push(s);
+    }
+    const minFret = Math.max(0, parseInt(elements.inputs.voicingMinFret.value) || 0);
+    return {
+        minFret: minFret,
+        maxFret: Math.max(minFret, parseInt(elements.inputs.voicingMaxFret.value) || 0),
+        maxStretch: Math.max(1, parseInt(elements.inputs.voicingStretch.value) || 4),
+        allowBarre: elements.inputs.voicingBarre.checked,
+        bassTone: parseInt(elements.inputs.voicingBass.value),
+        strings: stringSet
+    };
+}
+
+/**
+ * Displays a voicing on the fretboard.
+ * Selects its notes, marks muted/open strings and moves the fret window when the voicing is outside it.
+ * @param {Object} voicing - A voicing returned by findVoicings.
+ */
+function showVoicing(voicing) {
+    state.voicing = [...voicing.frets];
+    state.selectedNotes = new Set(
+        voicing.frets.map((f, s) => f === null ? null : `${s}-${f}`).filter(Boolean)
+    );
+    
+    // Make sure every fretted note is inside the visible window
+    const fretted = voicing.frets.filter(f => f !== null && f > 0);
+    if (fretted.length > 0) {
+        const low = Math.min(...fretted);
+        const high = Math.max(...fretted);
+        if (low <= state.startFret || high > state.startFret + state.fretCount) {
+            state.startFret = Math.max(0, low - 1);
+            state.fretCount = Math.min(24, Math.max(state.fretCount, high - state.startFret));
+            elements.inputs.startFret.value = state.startFret;
+            elements.inputs.fretCount.value = state.fretCount;
+        }
+    }
+    // Open strings of the voicing stay visible in the reference column when the window leaves the nut
+    if (state.startFret > 0 && voicing.frets.includes(0)) state.showOpenReference = true;
+    updateAll();
+    commitState();
+}
+
+/**
+ * Updates the voicing pager counter.
+ */
+function updateVoicingCount() {
+    const { list, index, title } = voicingResults;
+    elements.inputs.voicingCount.innerText = list.length 
+        ? `${title} ${index + 1} / ${list.length}${list[index].barre ? ' (barre)' : ''}` 
+        : 'No voicings';
 }
 
+// Handle voicing search - finds voicings for the current root and chord and shows the first one
+document.getElementById('voicing-find').onclick = () => {
+    const chord = CONFIG.chords[state.chordType];
+    voicingResults = {
+        list: findVoicings(state.tuning, getNoteIndex(state.rootNote), chord.formula, getVoicingOptions()),
+        index: 0,
+        title: state.rootNote + chord.symbol
+    };
+    if (voicingResults.list.length) showVoicing(voicingResults.list[0]);
+    updateVoicingCount();
+};
+
+// Handle voicing paging - steps through the found voicings, wrapping around at both ends
+document.getElementById('voicing-prev').onclick = () => {
+    const { list } = voicingResults;
+    if (!list.length) return;
+    voicingResults.index = (voicingResults.index - 1 + list.length) % list.length;
+    showVoicing(list[voicingResults.index]);
+    updateVoicingCount();
+};
+
+document.getElementById('voicing-next').onclick = () => {
+    const { list } = voicingResults;
+    if (!list.length) return;
+    voicingResults.index = (voicingResults.index + 1) % list.length;
+    showVoicing(list[voicingResults.index]);
+    updateVoicingCount();
+};
+
+
+/**
+ * Custom scale and chord library
+ * Lets users define their own note sets (by toggling semitones or typing a formula),
+ * saves them to localStorage and merges them into CONFIG.scales / CONFIG.chords under a 'Custom' family.
+ */
+
+// localStorage key holding the custom library
+const CUSTOM_LIBRARY_KEY = 'fretboard-custom-library';
+
+// Custom entries by kind, keyed by id (ids start with 'custom-' to stay clear of built-in keys)
+let customLibrary = { scales: {}, chords: {} };
+
+// Reference the custom library editor inputs from the DOM
+elements.inputs.customKind = document.getElementById('custom-kind');
+elements.inputs.customName = document.getElementById('custom-name');
+elements.inputs.customSymbol = document.getElementById('custom-symbol');
+elements.inputs.customFormula = document.getElementById('custom-formula');
+elements.inputs.customImport = document.getElementById('custom-import');
+elements.layers.customSemitones = document.getElementById('custom-semitones');
+elements.layers.customList = document.getElementById('custom-list');
+elements.layers.customStatus = document.getElementById('custom-status');
+
+/**
+ * Parses an interval formula such as '1 2 b3 #4 5 6 b7'.
+ * @param {string} text - Interval names separated by spaces or commas.
+ * @returns {string[]} - The interval names, sorted by distance from the root.
+ * @throws {Error} - When a name is unknown, two names share a pitch, or the root is missing.
+ */
+function parseFormula(text) {
+    const names = text.split(/[\s,]+/).filter(Boolean);
+    if (!names.includes('1')) throw new Error('The formula must contain the root (1).');
+    const seen = new Set(); // Pitch classes already used, to catch e.g. '#4 b5'
+    names.forEach(name => {
+        if (!Object.prototype.hasOwnProperty.call(CONFIG.intervalSemitones, name)) throw new Error(`Unknown interval "${name}".`); // Not inherited keys such as 'constructor'
+        const pc = CONFIG.intervalSemitones[name] % 12;
+        if (seen.has(pc)) throw new Error(`"${name}" repeats a pitch already in the formula.`);
+        seen.add(pc);
+    });
+    return names.sort((a, b) => CONFIG.intervalSemitones[a] - CONFIG.intervalSemitones[b]);
+}
+
+/**
+ * Validates a custom entry loaded from storage or an imported file.
+ * @param {Object} entry - The raw entry.
+ * @param {string} kind - 'scales' or 'chords'.
+ * @returns {Object} - The cleaned entry, ready to merge into CONFIG.
+ * @throws {Error} - When the entry has no name or an invalid formula.
+ */
+function normalizeCustomEntry(entry, kind) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) throw new Error('Entry without a name.');
+    if (!Array.isArray(entry.formula)) throw new Error(`"${entry.name}" has no formula.`);
+    const clean = { name: entry.name.trim(), family: 'Custom', formula: parseFormula(entry.formula.join(' ')) };
+    if (kind === 'chords') clean.symbol = typeof entry.symbol === 'string' ? entry.symbol : entry.name.trim();
+    else clean.characteristic = null;
+    return clean;
+}
+
+/**
+ * Turns an entry name into a custom id, unique within its kind.
+ * Accents are dropped and letters of any script are kept; a different name that still lands
+ * on a taken id gets a numbered suffix, so only an entry of the very same name is replaced.
+ * @param {string} name - The entry name.
+ * @param {string} kind - 'scales' or 'chords'.
+ * @returns {string} - An id such as 'custom-my-exercise' or 'custom-my-exercise-2'.
+ */
+function toCustomId(name, kind) {
+    const slug = name.trim().toLowerCase()
+        .normalize('NFKD').replace(/\p{M}/gu, '') // 'â' becomes 'a'
+        .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+    const base = 'custom-' + (slug || 'entry');
+    let id = base;
+    for (let n = 2; customLibrary[kind][id] && customLibrary[kind][id].name !== name.trim(); n++) id = `${base}-${n}`;
+    return id;
+}
+
+/**
+ * Merges the custom library into CONFIG and refreshes the scale and chord dropdowns.
+ * Removed entries are taken out of CONFIG; a current selection that no longer exists falls back to a built-in.
+ */
+function applyCustomLibrary() {
+    ['scales', 'chords'].forEach(kind => {
+        Object.keys(CONFIG[kind]).filter(id => id.startsWith('custom-')).forEach(id => delete CONFIG[kind][id]);
+        Object.assign(CONFIG[kind], customLibrary[kind]);
+    });
+    if (!CONFIG.scales[state.scaleType]) state.scaleType = 'chromatic';
+    if (!CONFIG.chords[state.chordType]) state.chordType = 'major';
+    populateScaleTypes();
+    populateChordTypes();
+}
+
+/**
+ * Loads the custom library from localStorage, skipping entries that fail validation.
+ */
+function loadCustomLibrary() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_LIBRARY_KEY) || 'null');
+        customLibrary = { scales: {}, chords: {} };
+        if (stored) mergeCustomEntries(stored);
+    } catch (err) {
+        console.error('Could not load the custom library:', err);
+    }
+    applyCustomLibrary();
+}
+
+/**
+ * Saves the custom library to localStorage.
+ */
+function saveCustomLibrary() {
+    try {
+        localStorage.setItem(CUSTOM_LIBRARY_KEY, JSON.stringify({ version: 1, ...customLibrary }));
+    } catch (err) {
+        console.error('Could not save the custom library:', err);
+    }
+}
+
+/**
+ * Merges raw library data (from storage or an imported file) into the custom library.
+ * @param {Object} data - Object with optional 'scales' and 'chords' maps of entries.
+ * @returns {number} - The number of entries merged; invalid entries are skipped.
+ */
+function mergeCustomEntries(data) {
+    let count = 0;
+    ['scales', 'chords'].forEach(kind => {
+        Object.values((data && data[kind]) || {}).forEach(entry => {
+            try {
+                const clean = normalizeCustomEntry(entry, kind);
+                customLibrary[kind][toCustomId(clean.name, kind)] = clean;
+                count++;
+            } catch (err) {
+                console.error('Skipped custom entry:', err.message);
+            }
+        });
+    });
+    return count;
+}
+
+/**
+ * Shows a message below the custom library editor.
+ * @param {string} message - The text to show.
+ * @param {boolean} [isError=false] - Whether to style it as an error.
+ */
+function setCustomStatus(message, isError = false) {
+    elements.layers.customStatus.innerText = message;
+    elements.layers.customStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Renders the 12 semitone toggles from the formula field.
+ * The root is always part of the set, so its toggle is locked on.
+ */
+function renderCustomSemitones() {
+    let active = [];
+    try {
+        active = parseFormula(elements.inputs.customFormula.value).map(name => CONFIG.intervalSemitones[name] % 12);
+    } catch (err) {
+        active = [0]; // Unparseable formula: show only the root
+    }
+    elements.layers.customSemitones.innerHTML = ''; // Clear existing toggles
+    CONFIG.intervals.forEach((name, semitones) => {
+        const btn = document.createElement('button');
+        btn.className = 'semitone-toggle';
+        btn.innerText = name;
+        btn.disabled = semitones === 0;
+        btn.classList.toggle('active', active.includes(semitones));
+        // Toggling rebuilds the formula from the chromatic interval names
+        btn.onclick = () => {
+            const next = active.includes(semitones) ? active.filter(x => x !== semitones) : active.concat(semitones);
+            elements.inputs.customFormula.value = next.sort((a, b) => a - b).map(x => CONFIG.intervals[x]).join(' ');
+            renderCustomSemitones();
+        };
+        elements.layers.customSemitones.appendChild(btn);
+    });
+}
+
+/**
+ * Renders the list of saved custom entries with their delete buttons.
+ */
+function renderCustomList() {
+    elements.layers.customList.innerHTML = ''; // Clear existing entries
+    ['scales', 'chords'].forEach(kind => {
+        Object.keys(customLibrary[kind]).forEach(id => {
+            const entry = customLibrary[kind][id];
+            const item = document.createElement('div');
+            item.className = 'custom-item';
+            
+            const text = document.createElement('span');
+            text.innerText = `${entry.name} (${kind === 'scales' ? 'scale' : 'chord'}): ${entry.formula.join(' ')}`;
+            item.appendChild(text);
+            
+            const remove = document.createElement('button');
+            remove.innerText = '✕';
+            remove.title = `Delete ${entry.name}`;
+            remove.onclick = () => {
+                delete customLibrary[kind][id];
+                saveCustomLibrary();
+                applyCustomLibrary();
+                renderCustomList();
+                updateAll();
+                commitState();
+            };
+            item.appendChild(remove);
+            elements.layers.customList.appendChild(item);
+        });
+    });
+}
+
+// Handle kind changes - the chord symbol field only applies to chords
+elements.inputs.customKind.onchange = () => {
+    elements.inputs.customSymbol.hidden = elements.inputs.customKind.value !== 'chords';
+};
+
+// Handle typed formulas - keep the semitone toggles in sync
+elements.inputs.customFormula.oninput = () => renderCustomSemitones();
+
+// Handle save - validates the entry, stores it and shows it on the fretboard
+document.getElementById('custom-save').onclick = () => {
+    const kind = elements.inputs.customKind.value;
+    try {
+        const entry = normalizeCustomEntry({
+            name: elements.inputs.customName.value,
+            symbol: elements.inputs.customSymbol.value,
+            formula: elements.inputs.customFormula.value.split(/[\s,]+/).filter(Boolean)
+        }, kind);
+        const id = toCustomId(entry.name, kind);
+        customLibrary[kind][id] = entry;
+        saveCustomLibrary();
+        applyCustomLibrary();
+        renderCustomList();
+        
+        // Show the new entry right away
+        state.mode = kind === 'scales' ? 'scale' : 'chord';
+        if (kind === 'scales') state.scaleType = id; else state.chordType = id;
+        updateAll();
+        commitState();
+        setCustomStatus(`Saved "${entry.name}".`);
+    } catch (err) {
+        setCustomStatus(err.message, true);
+    }
+};
+
+// Handle export - saves the custom library as a JSON file for sharing
+document.getElementById('custom-export').onclick = () => {
+    const json = JSON.stringify({ version: 1, ...customLibrary }, null, 2);
+    saveFile(new Blob([json], { type: 'application/json' }), 'fretboard-library.json', 'Fretboard library');
+};
+
+// Handle import - merges entries from a shared JSON file into the library
+elements.inputs.customImport.onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+        const count = mergeCustomEntries(JSON.parse(await file.text()));
+        saveCustomLibrary();
+        applyCustomLibrary();
+        renderCustomList();
+        updateAll();
+        commitState();
+        setCustomStatus(`Imported ${count} entr${count === 1 ? 'y' : 'ies'}.`);
+    } catch (err) {
+        setCustomStatus(`Import failed: ${err.message}`, true);
+    }
+    e.target.value = ''; // Allow importing the same file again
+};
+
+
+/**
+ * State snapshots and URL sharing
+ * The whole diagram state can be captured as a plain object, validated back into the state,
+ * and encoded compactly into the URL hash so a link reproduces the exact diagram.
+ */
+
+/**
+ * Captures the current state as a plain, JSON-friendly object.
+ * @returns {Object} - A copy of every state field, with the selection as an array of ids in click order.
+ */
+function snapshotState() {
+    return {
+        fretCount: state.fretCount,
+        startFret: state.startFret,
+        rootNote: state.rootNote,
+        mode: state.mode,
+        scaleType: state.scaleType,
+        chordType: state.chordType,
+        labelType: state.labelType,
+        theme: state.theme,
+        instrument: state.instrument,
+        tuning: [...state.tuning],
+        showOpenReference: state.showOpenReference,
+        rootColor: state.rootColor,
+        noteColor: state.noteColor,
+        selectedNotes: [...state.selectedNotes]
+    };
+}
+
+/**
+ * Loads a snapshot into the state, validating every field.
+ * Missing fields keep their current value; invalid ones fall back to safe defaults.
+ * Does not render - call updateAll() afterwards.
+ * @param {Object} snapshot - A full or partial snapshot (see snapshotState).
+ */
+function applySnapshot(snapshot) {
+    const next = { ...snapshotState(), ...snapshot };
+    const clampInt = (value, min, max, fallback) => {
+        const n = parseInt(value);
+        return Number.isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+    };
+    const isColor = value => /^#[0-9a-f]{6}$/i.test(value);
+    const roots = Array.from(elements.inputs.rootNote.options, option => option.value);
+    
+    const has = (table, key) => Object.prototype.hasOwnProperty.call(table, key); // Not inherited keys such as 'constructor'
+    state.instrument = has(CONFIG.instruments, next.instrument) ? next.instrument : 'guitar6';
+    const instrument = getInstrument();
+    const validTuning = Array.isArray(next.tuning) 
+        && next.tuning.length === instrument.gauges.length 
+        && next.tuning.every(midi => Number.isInteger(midi) && midi >= 12 && midi <= 108);
+    state.tuning = validTuning ? [...next.tuning] : [...instrument.tunings.standard.strings];
+    state.tuningId = findTuningPreset(state.tuning);
+    
+    state.fretCount = clampInt(next.fretCount, 1, 24, 12);
+    state.startFret = clampInt(next.startFret, 0, 20, 0);
+    state.rootNote = roots.includes(next.rootNote) ? next.rootNote : 'E';
+    state.mode = next.mode === 'chord' ? 'chord' : 'scale';
+    state.scaleType = has(CONFIG.scales, next.scaleType) ? next.scaleType : 'chromatic';
+    state.chordType = has(CONFIG.chords, next.chordType) ? next.chordType : 'major';
+    state.labelType = next.labelType === 'note' ? 'note' : 'interval';
+    state.theme = next.theme === 'clear' ? 'clear' : 'wood';
+    state.showOpenReference = Boolean(next.showOpenReference);
+    state.rootColor = isColor(next.rootColor) ? next.rootColor : CONFIG.defaultColors.root;
+    state.noteColor = isColor(next.noteColor) ? next.noteColor : CONFIG.defaultColors.note;
+    state.selectedNotes = new Set((Array.isArray(next.selectedNotes) ? next.selectedNotes : []).filter(id => 
+        /^\d+-\d+$/.test(id) && parseInt(id) < state.tuning.length && parseInt(id.split('-')[1]) <= 24
+    ));
+    state.voicing = null; // Voicing marks are not part of a snapshot
+}
+
+/**
+ * Encodes a snapshot into a compact URL hash.
+ * Values equal to the defaults are left out; each selected note takes two base-36 characters
+ * (string, fret), and a preset tuning is stored by its id rather than its pitches.
+ * @param {Object} snapshot - A snapshot (see snapshotState).
+ * @returns {string} - The hash, without the leading '#'.
+ */
+function encodeSnapshot(snapshot) {
+    const params = new URLSearchParams();
+    const tuningId = CONFIG.instruments[snapshot.instrument] 
+        ? Object.keys(CONFIG.instruments[snapshot.instrument].tunings).find(id => 
+            CONFIG.instruments[snapshot.instrument].tunings[id].strings.join() === snapshot.tuning.join())
+        : null;
+    
+    params.set('f', snapshot.fretCount);
+    if (snapshot.startFret) params.set('s', snapshot.startFret);
+    params.set('r', snapshot.rootNote);
+    if (snapshot.mode === 'chord') params.set('c', snapshot.chordType);
+    else params.set('k', snapshot.scaleType);
+    if (snapshot.labelType === 'note') params.set('l', 'n');
+    if (snapshot.theme === 'clear') params.set('th', 'c');
+    if (snapshot.instrument !== 'guitar6') params.set('i', snapshot.instrument);
+    if (tuningId !== 'standard') params.set('t', tuningId || snapshot.tuning.join('.'));
+    if (snapshot.showOpenReference) params.set('o', '1');
+    if (snapshot.rootColor !== CONFIG.defaultColors.root || snapshot.noteColor !== CONFIG.defaultColors.note) {
+        params.set('co', snapshot.rootColor.slice(1) + '.' + snapshot.noteColor.slice(1));
+    }
+    if (snapshot.selectedNotes.length) {
+        params.set('n', snapshot.selectedNotes.map(id => 
+            id.split('-').map(n => parseInt(n).toString(36)).join('')
+        ).join(''));
+    }
+    return params.toString();
+}
+
+/**
+ * Decodes a URL hash produced by encodeSnapshot.
+ * @param {string} hash - The hash, with or without the leading '#'.
+ * @returns {Object} - A partial snapshot to pass to applySnapshot.
+ */
+function decodeSnapshot(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const instrument = params.get('i') || 'guitar6';
+    const tuning = params.get('t') || 'standard';
+    const presets = Object.prototype.hasOwnProperty.call(CONFIG.instruments, instrument) ? CONFIG.instruments[instrument].tunings : {};
+    const colors = (params.get('co') || '').split('.');
+    const notes = (params.get('n') || '').match(/../g) || [];
+    
+    return {
+        fretCount: params.get('f') || 12,
+        startFret: params.get('s') || 0,
+        rootNote: params.get('r') || 'E',
+        mode: params.has('c') ? 'chord' : 'scale',
+        scaleType: params.get('k') || 'chromatic',
+        chordType: params.get('c') || 'major',
+        labelType: params.get('l') === 'n' ? 'note' : 'interval',
+        theme: params.get('th') === 'c' ? 'clear' : 'wood',
+        instrument: instrument,
+        tuning: Object.prototype.hasOwnProperty.call(presets, tuning) ? [...presets[tuning].strings] : tuning.split('.').map(Number),
+        showOpenReference: params.get('o') === '1',
+        rootColor: colors.length === 2 ? '#' + colors[0] : CONFIG.defaultColors.root,
+        noteColor: colors.length === 2 ? '#' + colors[1] : CONFIG.defaultColors.note,
+        selectedNotes: notes.map(pair => `${parseInt(pair[0], 36)}-${parseInt(pair[1], 36)}`)
+    };
+}
+
+/**
+ * Writes the current state into the URL hash as a new history entry,
+ * so browser back/forward steps through previous diagrams.
+ * @param {boolean} [replace=false] - Rewrite the current history entry instead of adding one.
+ */
+function writeStateToUrl(replace = false) {
+    const hash = '#' + encodeSnapshot(snapshotState());
+    if (hash === window.location.hash) return;
+    if (replace) history.replaceState(null, '', hash);
+    else history.pushState(null, '', hash);
+}
+
+/**
+ * Loads the state from the URL hash, if there is one.
+ * @returns {boolean} - True when a state was restored.
+ */
+function readStateFromUrl() {
+    if (window.location.hash.length <= 1) return false;
+    applySnapshot(decodeSnapshot(window.location.hash));
+    return true;
+}
+
+/**
+ * Records a state change made through the UI.
+ * Every call site that changes the state calls this after rendering.
+ */
+function commitState() {
+    recordHistory(); // Make the change undoable
+    writeStateToUrl(); // Keep the shareable link up to date
+    saveSession(); // Survive a page reload
+    updateDrone(); // Retune a running drone to a new root
+}
+
+// Handle browser back/forward - restore the diagram stored in that history entry
+window.addEventListener('popstate', () => {
+    if (readStateFromUrl()) updateAll();
+    resetHistoryBaseline(); // Navigating the browser history is not an edit
+    updateDrone();
+});
+
+
+/**
+ * Session and presets persistence
+ * Auto-saves the state to localStorage and manages named diagram presets.
+ * Stored records carry a version number so older records can be migrated when state fields change.
+ */
+
+// localStorage keys for the auto-saved session and the named presets
+const SESSION_KEY = 'fretboard-session';
+const PRESETS_KEY = 'fretboard-presets';
+
+// Version of stored snapshots; bump it and add a migration when snapshot fields change
+const STATE_VERSION = 1;
+
+// Migrations keyed by the version they upgrade from. Each takes a snapshot and returns the next version's.
+const STATE_MIGRATIONS = {
+    // Version 0: records saved without a version; fields already match version 1
+    0: snapshot => snapshot
+};
+
+// Named presets, in display order
+let presets = [];
+
+// Reference the presets panel elements from the DOM
+elements.inputs.presetName = document.getElementById('preset-name');
+elements.layers.presetList = document.getElementById('preset-list');
+elements.layers.presetStatus = document.getElementById('preset-status');
+
+/**
+ * Upgrades a stored record to the current snapshot format.
+ * @param {Object} record - A stored record with 'version' and 'state'.
+ * @returns {Object} - The migrated snapshot.
+ * @throws {Error} - When the record was written by a newer version or a migration is missing.
+ */
+function migrateSnapshot(record) {
+    let version = Number.isInteger(record.version) ? record.version : 0;
+    let snapshot = record.state || {};
+    if (version > STATE_VERSION) throw new Error(`Saved with a newer version (${version}).`);
+    while (version < STATE_VERSION) {
+        if (!STATE_MIGRATIONS[version]) throw new Error(`No migration from version ${version}.`);
+        snapshot = STATE_MIGRATIONS[version](snapshot);
+        version++;
+    }
+    return snapshot;
+}
+
+/**
+ * Wraps the current state in a versioned record for storage.
+ * @returns {Object} - Record with 'version' and 'state'.
+ */
+function createStateRecord() {
+    return { version: STATE_VERSION, state: snapshotState() };
+}
+
+/**
+ * Auto-saves the current state as the session.
+ */
+function saveSession() {
+    try {
+        localStorage.setItem(SESSION_KEY, JSON.stringify(createStateRecord()));
+    } catch (err) {
+        console.error('Could not save the session:', err);
+    }
+}
+
+/**
+ * Restores the auto-saved session, if there is one.
+ * @returns {boolean} - True when a session was restored.
+ */
+function restoreSession() {
+    try {
+        const record = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+        if (!record) return false;
+        applySnapshot(migrateSnapshot(record));
+        return true;
+    } catch (err) {
+        console.error('Could not restore the session:', err);
+        return false;
+    }
+}
+
+/**
+ * Loads the presets from localStorage, skipping records that cannot be migrated.
+ */
+function loadPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESETS_KEY) || '[]');
+        presets = stored.filter(preset => {
+            try {
+                preset.state = migrateSnapshot(preset);
+                preset.version = STATE_VERSION;
+                return true;
+            } catch (err) {
+                console.error(`Skipped preset "${preset.name}":`, err.message);
+                return false;
+            }
+        });
+    } catch (err) {
+        console.error('Could not load presets:', err);
+        presets = [];
+    }
+}
+
+/**
+ * Saves the presets to localStorage.
+ */
+function savePresets() {
+    try {
+        localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    } catch (err) {
+        console.error('Could not save presets:', err);
+    }
+}
+
+/**
+ * Shows a message in the presets panel.
+ * @param {string} message - The text to show.
+ */
+function setPresetStatus(message) {
+    elements.layers.presetStatus.innerText = message;
+}
+
+/**
+ * Creates a small button for a preset row.
+ * @param {string} text - Button text.
+ * @param {string} title - Tooltip.
+ * @param {Function} onClick - Click handler.
+ * @returns {HTMLElement} - The button.
+ */
+function createPresetButton(text, title, onClick) {
+    const btn = document.createElement('button');
+    btn.innerText = text;
+    btn.title = title;
+    btn.onclick = onClick;
+    return btn;
+}
+
+/**
+ * Renders the list of presets with load, duplicate and delete actions.
+ * The name field renames the preset in place.
+ */
+function renderPresets() {
+    elements.layers.presetList.innerHTML = ''; // Clear existing rows
+    presets.forEach((preset, index) => {
+        const row = document.createElement('div');
+        row.className = 'preset-item';
+        
+        // Editable name - renames on change
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = preset.name;
+        name.title = 'Rename preset';
+        name.onchange = () => {
+            preset.name = name.value.trim() || preset.name;
+            savePresets();
+            renderPresets();
+        };
+        row.appendChild(name);
+        
+        row.appendChild(createPresetButton('Load', 'Show this diagram', () => {
+            applySnapshot(preset.state);
+            updateAll();
+            commitState();
+            setPresetStatus(`Loaded "${preset.name}".`);
+        }));
+        row.appendChild(createPresetButton('Duplicate', 'Copy this preset', () => {
+            presets.splice(index + 1, 0, { 
+                ...preset, 
+                id: Date.now().toString(36), 
+                name: `${preset.name} (copy)`, 
+                state: JSON.parse(JSON.stringify(preset.state)) 
+            });
+            savePresets();
+            renderPresets();
+        }));
+        row.appendChild(createPresetButton('✕', 'Delete this preset', () => {
+            if (!confirm(`Delete preset "${preset.name}"?`)) return;
+            presets.splice(index, 1);
+            savePresets();
+            renderPresets();
+        }));
+        elements.layers.presetList.appendChild(row);
+    });
+}
+
+// Handle preset save - stores the current diagram under the given name, replacing a preset of the same name
+document.getElementById('preset-save').onclick = () => {
+    const name = elements.inputs.presetName.value.trim() || `Diagram ${presets.length + 1}`;
+    const record = createStateRecord();
+    const existing = presets.find(preset => preset.name === name);
+    if (existing) {
+        Object.assign(existing, record);
+    } else {
+        presets.push({ id: Date.now().toString(36), name: name, ...record });
+    }
+    savePresets();
+    renderPresets();
+    elements.inputs.presetName.value = '';
+    setPresetStatus(`${existing ? 'Updated' : 'Saved'} "${name}".`);
+};
+
+
+/**
+ * Undo/redo history
+ * Every committed change becomes a command holding the before/after values of the state fields it touched.
+ * Undo applies the 'before' values, redo the 'after' values. Painting notes in one drag and rapid
+ * keyboard changes to the same fields coalesce into a single command, and the history is capped.
+ */
+
+// Maximum number of undo steps kept
+const HISTORY_LIMIT = 100;
+
+// Keyboard-driven changes to the same fields within this many milliseconds merge into one command
+const HISTORY_COALESCE_MS = 600;
+
+// Display names of state fields, used for the undo/redo button tooltips
+const HISTORY_LABELS = {
+    selectedNotes: 'note selection',
+    fretCount: 'fret range',
+    startFret: 'fret range',
+    rootNote: 'root',
+    mode: 'scale/chord mode',
+    scaleType: 'scale',
+    chordType: 'chord',
+    labelType: 'labels',
+    theme: 'theme',
+    instrument: 'instrument',
+    tuning: 'tuning',
+    showOpenReference: 'open strings',
+    rootColor: 'colors',
+    noteColor: 'colors'
+};
+
+// Undo and redo stacks of commands, the snapshot of the last committed state, and whether a pointer press came since
+const editHistory = { undo: [], redo: [], baseline: null, pressed: false };
+
+// Note every pointer press, so edits from separate clicks (e.g. the fret +/- buttons) stay separate undo steps
+document.addEventListener('pointerdown', () => { editHistory.pressed = true; }, true);
+
+// Reference the undo/redo buttons from the DOM
+elements.inputs.undo = document.getElementById('undo');
+elements.inputs.redo = document.getElementById('redo');
+
+/**
+ * Builds a command from the difference between two snapshots.
+ * @param {Object} before - Snapshot before the change.
+ * @param {Object} after - Snapshot after the change.
+ * @returns {Object|null} - Command with before/after values of the changed fields, or null when nothing changed.
+ */
+function createCommand(before, after) {
+    const keys = Object.keys(after).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    if (keys.length === 0) return null;
+    const pick = (snapshot) => keys.reduce((values, key) => ({ ...values, [key]: snapshot[key] }), {});
+    return {
+        label: [...new Set(keys.map(key => HISTORY_LABELS[key] || key))].join(', '),
+        keys: keys,
+        before: pick(before),
+        after: pick(after),
+        time: Date.now(),
+        gesture: noteDrag.active ? noteDrag.gesture : null,
+        fromPress: editHistory.pressed
+    };
+}
+
+/**
+ * Records the change since the last commit as a command.
+ * Merges it into the previous command when it belongs to the same note gesture (a click or drag),
+ * or when keyboard-driven edits (e.g. arrow keys in a number field) touch the same fields in quick
+ * succession. An edit made by a click never merges by time, so separate clicks stay separate steps.
+ */
+function recordHistory() {
+    const current = snapshotState();
+    const command = editHistory.baseline && createCommand(editHistory.baseline, current);
+    editHistory.baseline = current;
+    editHistory.pressed = false;
+    if (!command) return;
+    
+    const last = editHistory.undo[editHistory.undo.length - 1];
+    const sameGesture = last && command.gesture !== null && last.gesture === command.gesture;
+    const sameFields = last && command.gesture === null && last.gesture === null 
+        && !command.fromPress && !last.fromPress // Never a click, only keyboard edits
+        && last.keys.join() === command.keys.join() && command.time - last.time < HISTORY_COALESCE_MS;
+    if (sameGesture || sameFields) {
+        // Keep the original 'before' values and take the new 'after' values
+        const merged = createCommand({ ...current, ...last.before }, current);
+        editHistory.undo.pop();
+        if (merged) editHistory.undo.push({ ...merged, gesture: last.gesture });
+    } else {
+        editHistory.undo.push(command);
+        if (editHistory.undo.length > HISTORY_LIMIT) editHistory.undo.shift();
+    }
+    editHistory.redo = []; // A new edit discards the redo branch
+    updateHistoryButtons();
+}
+
+/**
+ * Re-bases the history on the current state without recording a command.
+ * Used after changes that are not edits, such as loading the page or browser navigation.
+ */
+function resetHistoryBaseline() {
+    editHistory.baseline = snapshotState();
+    updateHistoryButtons();
+}
+
+/**
+ * Applies one side of a command and moves it to the other stack.
+ * @param {Object[]} from - Stack to take the command from.
+ * @param {Object[]} to - Stack to move the command to.
+ * @param {string} side - 'before' to undo, 'after' to redo.
+ */
+function stepHistory(from, to, side) {
+    const command = from.pop();
+    if (!command) return;
+    applySnapshot(command[side]);
+    updateAll();
+    to.push(command);
+    editHistory.baseline = snapshotState();
+    writeStateToUrl();
+    saveSession();
+    updateHistoryButtons();
+    updateDrone();
+}
+
+/**
+ * Undoes the last edit.
+ */
+function undo() {
+    stepHistory(editHistory.undo, editHistory.redo, 'before');
+}
+
+/**
+ * Redoes the last undone edit.
+ */
+function redo() {
+    stepHistory(editHistory.redo, editHistory.undo, 'after');
+}
+
+/**
+ * Enables the undo/redo buttons and describes the step they would take.
+ */
+function updateHistoryButtons() {
+    const lastUndo = editHistory.undo[editHistory.undo.length - 1];
+    const lastRedo = editHistory.redo[editHistory.redo.length - 1];
+    elements.inputs.undo.disabled = !lastUndo;
+    elements.inputs.redo.disabled = !lastRedo;
+    elements.inputs.undo.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    elements.inputs.redo.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// Handle toolbar undo/redo buttons
+elements.inputs.undo.onclick = () => undo();
+elements.inputs.redo.onclick = () => redo();
+
+// Input types without text editing, where Ctrl+Z can undo the diagram
+const NON_EDITABLE_INPUTS = ['checkbox', 'radio', 'range', 'color', 'button', 'submit', 'reset', 'file'];
+
+// Handle Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) and Ctrl+Y; editable fields (text, number, ...) keep their own undo
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const target = e.target;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA') return;
+    if (target.tagName === 'INPUT' && !NON_EDITABLE_INPUTS.includes(target.type)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
+});
+
+
+
+/**
+ * PDF worksheet
+ * Lays out several diagrams per page with captions and page numbers, and writes the PDF locally.
+ * Diagrams come from the same model and shape layout as the SVG export; the PDF uses the
+ * standard fonts every reader has built in, so nothing is embedded or downloaded.
+ */
+
+// Reference the worksheet panel elements from the DOM
+elements.inputs.worksheetTitle = document.getElementById('worksheet-title');
+elements.inputs.worksheetSet = document.getElementById('worksheet-set');
+elements.inputs.worksheetPaper = document.getElementById('worksheet-paper');
+elements.inputs.worksheetPerPage = document.getElementById('worksheet-per-page');
+elements.inputs.worksheetInk = document.getElementById('worksheet-ink');
+elements.layers.worksheetStatus = document.getElementById('worksheet-status');
+
+// Portrait paper sizes in PDF points (1/72 inch)
+const PAPER_SIZES = {
+    a4: { width: 595, height: 842 },
+    letter: { width: 612, height: 792 }
+};
+
+// Standard PDF fonts with their character widths (1/1000 em) for ASCII 32-126, used to align text
+const PDF_FONTS = {
+    sans: {
+        id: 'F1', 
+        base: 'Helvetica',
+        widths: [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            ...Array(10).fill(556), 278, 278, 584, 584, 584, 556, 1015,
+            667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+            278, 278, 278, 469, 556, 333,
+            556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+            334, 260, 334, 584
+        ]
+    },
+    sansBold: {
+        id: 'F2', 
+        base: 'Helvetica-Bold',
+        widths: [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            ...Array(10).fill(556), 333, 333, 584, 584, 584, 611, 975,
+            722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+            333, 278, 333, 584, 556, 333,
+            556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500,
+            389, 280, 389, 584
+        ]
+    },
+    serifBold: {
+        id: 'F3', 
+        base: 'Times-Bold',
+        widths: { I: 389, V: 722, X: 722, L: 667, C: 722 } // Only Roman numerals are set in this font
+    }
+};
+
+/**
+ * Parses a CSS color in hex or rgb()/rgba() notation.
+ * @param {string} color - The CSS color.
+ * @returns {Object|null} - { rgb: [r, g, b] in 0..1, alpha }, or null for no color.
+ */
+function parseColor(color) {
+    if (!color) return null;
+    let hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+        hex = hex[1].length === 3 ? hex[1].replace(/./g, ch => ch + ch) : hex[1];
+        return { rgb: [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255), alpha: 1 };
+    }
+    const rgb = color.match(/^rgba?\(([^)]+)\)$/i);
+    if (rgb) {
+        const parts = rgb[1].split(',').map(part => parseFloat(part));
+        return { rgb: parts.slice(0, 3).map(value => value / 255), alpha: parts.length > 3 ? parts[3] : 1 };
+    }
+    return null;
+}
+
+/**
+ * Picks the PDF font for a text shape.
+ * @param {Object} shape - A text shape from layoutDiagram.
+ * @returns {Object} - An entry of PDF_FONTS.
+ */
+function getPdfFont(shape) {
+    if (shape.serif) return PDF_FONTS.serifBold;
+    return shape.bold ? PDF_FONTS.sansBold : PDF_FONTS.sans;
+}
+
+/**
+ * Measures text set in a standard PDF font.
+ * @param {string} text - The text.
+ * @param {Object} font - An entry of PDF_FONTS.
+ * @param {number} size - Font size in points.
+ * @returns {number} - The width in points.
+ */
+function measurePdfText(text, font, size) {
+    let width = 0;
+    for (const ch of String(text)) {
+        const code = ch.charCodeAt(0);
+        width += (Array.isArray(font.widths) ? font.widths[code - 32] : font.widths[ch]) || 556;
+    }
+    return width * size / 1000;
+}
+
+/**
+ * Encodes text as a PDF string literal in WinAnsi encoding.
+ * Latin-1 characters are written as octal escapes so the file stays ASCII; anything else becomes '?'.
+ * @param {string} text - The text.
+ * @returns {string} - The string literal, including its parentheses.
+ */
+function toPdfString(text) {
+    let out = '';
+    for (const ch of String(text)) {
+        const code = ch.charCodeAt(0);
+        if (ch === '(' || ch === ')' || ch === '\\') out += '\\' + ch;
+        else if (code >= 32 && code <= 126) out += ch;
+        else if (code >= 160 && code <= 255) out += '\\' + code.toString(8);
+        else if (code >= 32) out += '?';
+    }
+    return `(${out})`;
+}
+
+/**
+ * Builds the path of a rectangle with rounded corners.
+ * @param {number} x - Left edge.
+ * @param {number} y - Top edge.
+ * @param {number} w - Width.
+ * @param {number} h - Height.
+ * @param {number} r - Corner radius.
+ * @returns {string} - PDF path operators.
+ */
+function roundedRectPath(x, y, w, h, r) {
+    const k = r * 0.4477; // Distance of the Bezier control points from the corner (1 - 0.5523)
+    return [
+        `${x + r} ${y} m`, `${x + w - r} ${y} l`, `${x + w - k} ${y} ${x + w} ${y + k} ${x + w} ${y + r} c`,
+        `${x + w} ${y + h - r} l`, `${x + w} ${y + h - k} ${x + w - k} ${y + h} ${x + w - r} ${y + h} c`,
+        `${x + r} ${y + h} l`, `${x + k} ${y + h} ${x} ${y + h - k} ${x} ${y + h - r} c`,
+        `${x} ${y + r} l`, `${x} ${y + k} ${x + k} ${y} ${x + r} ${y} c`, 'h'
+    ].join(' ');
+}
+
+/**
+ * Builds the path of a circle from four Bezier curves.
+ * @param {number} cx - Center x.
+ * @param {number} cy - Center y.
+ * @param {number} r - Radius.
+ * @returns {string} - PDF path operators.
+ */
+function circlePath(cx, cy, r) {
+    const k = r * 0.5523;
+    return [
+        `${cx + r} ${cy} m`,
+        `${cx + r} ${cy + k} ${cx + k} ${cy + r} ${cx} ${cy + r} c`,
+        `${cx - k} ${cy + r} ${cx - r} ${cy + k} ${cx - r} ${cy} c`,
+        `${cx - r} ${cy - k} ${cx - k} ${cy - r} ${cx} ${cy - r} c`,
+        `${cx + k} ${cy - r} ${cx + r} ${cy - k} ${cx + r} ${cy} c`, 'h'
+    ].join(' ');
+}
+
+/**
+ * Writes a PDF document from pages of positioned shape lists.
+ * Each page holds items of { shapes, x, y, scale }: shapes in layoutDiagram format, placed with their
+ * top-left corner at (x, y) points from the top-left of the page and scaled uniformly.
+ * @param {Object[]} pages - Pages as { width, height, items }.
+ * @param {string} title - Document title stored in the PDF info.
+ * @returns {Blob} - The PDF file.
+ */
+function buildPdf(pages, title) {
+    const alphaStates = []; // Distinct fill/stroke opacities, one ExtGState each
+    const num = value => String(Math.round(value * 100) / 100);
+    const color = (parsed, op) => parsed.rgb.map(num).join(' ') + ' ' + op;
+    
+    // Selects an ExtGState for non-opaque fills or strokes
+    const setAlpha = (fillAlpha, strokeAlpha) => {
+        if (fillAlpha >= 1 && strokeAlpha >= 1) return '';
+        const key = `${num(fillAlpha)} ${num(strokeAlpha)}`;
+        if (!alphaStates.includes(key)) alphaStates.push(key);
+        return `/GS${alphaStates.indexOf(key)} gs `;
+    };
+    
+    // Converts one shape to content stream operators, in the y-down space of its item
+    const drawShape = shape => {
+        const opacity = shape.opacity === undefined ? 1 : shape.opacity;
+        const fill = parseColor(shape.fill);
+        const stroke = parseColor(shape.stroke);
+        const fillAlpha = fill ? fill.alpha * opacity : 1;
+        const strokeAlpha = stroke ? stroke.alpha * opacity : 1;
+        let ops = setAlpha(fillAlpha, strokeAlpha);
+        
+        switch (shape.type) {
+            case 'rect':
+                if (!fill) return '';
+                ops += color(fill, 'rg') + ' ';
+                ops += shape.rx ? roundedRectPath(shape.x, shape.y, shape.w, shape.h, shape.rx) : `${num(shape.x)} ${num(shape.y)} ${num(shape.w)} ${num(shape.h)} re`;
+                return `q ${ops} f Q`;
+            case 'line':
+                if (!stroke) return '';
+                ops += `${color(stroke, 'RG')} ${num(shape.width)} w ${shape.dash ? `[${shape.dash.join(' ')}] 0 d ` : ''}`;
+                return `q ${ops}${num(shape.x1)} ${num(shape.y1)} m ${num(shape.x2)} ${num(shape.y2)} l S Q`;
+            case 'circle':
+                if (fill) ops += color(fill, 'rg') + ' ';
+                if (stroke) ops += color(stroke, 'RG') + ' 1 w ';
+                return `q ${ops}${circlePath(shape.cx, shape.cy, shape.r)} ${fill && stroke ? 'B' : (fill ? 'f' : 'S')} Q`;
+            case 'text': {
+                if (!fill) return '';
+                const font = getPdfFont(shape);
+                const width = measurePdfText(shape.text, font, shape.size);
+                const x = shape.x - (shape.anchor === 'middle' ? width / 2 : (shape.anchor === 'end' ? width : 0));
+                const y = shape.y + (shape.middle ? shape.size * 0.35 : 0); // Baseline, matching the SVG dy="0.35em"
+                // The text matrix flips y back, so glyphs stand upright in the y-down space
+                return `q ${ops}${color(fill, 'rg')} BT /${font.id} ${shape.size} Tf 1 0 0 -1 ${num(x)} ${num(y)} Tm ${toPdfString(shape.text)} Tj ET Q`;
+            }
+            default:
+                return '';
+        }
+    };
+    
+    // Content streams: each item gets a y-down coordinate system placed at its top-left corner
+    const contents = pages.map(page => page.items.map(item => 
+        `q ${num(item.scale)} 0 0 ${num(-item.scale)} ${num(item.x)} ${num(page.height - item.y)} cm\n`
+            + item.shapes.map(drawShape).filter(Boolean).join('\n') + '\nQ'
+    ).join('\n'));
+    
+    // Objects 1-5 are shared; each page adds a page object and its content stream
+    const fonts = Object.values(PDF_FONTS);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((page, i) => `${6 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        `<< ${fonts.map(font => `/${font.id} << /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`).join(' ')} >>`,
+        `<< ${alphaStates.map((key, i) => `/GS${i} << /Type /ExtGState /ca ${key.split(' ')[0]} /CA ${key.split(' ')[1]} >>`).join(' ')} >>`,
+        `<< /Title ${toPdfString(title)} /Producer (Guitar Fretboard Visualizer) >>`
+    ];
+    pages.forEach((page, i) => {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] `
+            + `/Resources << /Font 3 0 R /ExtGState 4 0 R /ProcSet [/PDF /Text] >> /Contents ${7 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${contents[i].length} >>\nstream\n${contents[i]}\nendstream`);
+    });
+    
+    // Body and cross-reference table; the file is pure ASCII, so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => String(offset).padStart(10, '0') + ' 00000 n \n').join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return new Blob([pdf], { type: 'application/pdf' });
+}
+
+/**
+ * Runs a function with a snapshot temporarily loaded into the state, then restores the state.
+ * Nothing is rendered in between.
+ * @param {Object} snapshot - A full or partial snapshot (see snapshotState).
+ * @param {Function} callback - Called while the snapshot is loaded.
+ * @returns {*} - The callback's return value.
+ */
+function withSnapshot(snapshot, callback) {
+    const saved = snapshotState();
+    const voicing = state.voicing;
+    try {
+        applySnapshot(snapshot);
+        return callback();
+    } finally {
+        applySnapshot(saved);
+        state.voicing = voicing;
+    }
+}
+
+/**
+ * Lists the ids of every scale or chord tone inside the visible fret window, open column included.
+ * @returns {string[]} - Note ids ('string-fret').
+ */
+function getWindowToneIds() {
+    const ids = [];
+    const firstFret = state.startFret === 0 || state.showOpenReference ? 0 : state.startFret + 1;
+    state.tuning.forEach((midi, s) => {
+        for (let fret = firstFret; fret <= state.startFret + state.fretCount; fret++) {
+            if (fret > 0 && fret <= state.startFret) continue; // Between the open column and the window
+            if (getNoteInfo(s, fret).inScale) ids.push(`${s}-${fret}`);
+        }
+    });
+    return ids;
+}
+
+/**
+ * Builds the snapshot fields that move the current diagram to another key.
+ * The selection and window shift by the same interval, up or down - whichever keeps every
+ * selected note on the neck with the smaller move; when neither fits, the selection is dropped.
+ * @param {number} step - Semitones up from the current root (0-11).
+ * @param {string[]} [formula] - Formula used to spell the new root; defaults to the active one.
+ * @returns {Object} - Partial snapshot with rootNote, startFret and selectedNotes.
+ */
+function transposeSnapshot(step, formula = getActiveFormula()) {
+    const ids = [...state.selectedNotes];
+    const frets = ids.map(id => parseInt(id.split('-')[1]));
+    const shift = [step, step - 12]
+        .filter(delta => frets.every(fret => fret + delta >= 0 && fret + delta <= 24))
+        .sort((a, b) => Math.abs(a) - Math.abs(b))[0];
+    const delta = shift === undefined ? step : shift;
+    return {
+        rootNote: spellRoot((getNoteIndex(state.rootNote) + step) % 12, formula),
+        startFret: Math.max(0, state.startFret + delta),
+        selectedNotes: shift === undefined ? [] : ids.map(id => {
+            const [s, fret] = id.split('-').map(Number);
+            return `${s}-${fret + delta}`;
+        })
+    };
+}
+
+/**
+ * Lists the five-fret positions of the current scale or chord: one window per tone on the
+ * lowest string within the first octave, starting a fret below that tone. Windows that would
+ * start on the same fret are listed once.
+ * @returns {Object[]} - Windows as { startFret, fretCount }.
+ */
+function getPositionWindows() {
+    const lowest = state.tuning.length - 1;
+    const windows = [];
+    for (let fret = 0; fret < 12; fret++) {
+        if (!getNoteInfo(lowest, fret).inScale) continue;
+        const startFret = Math.max(0, fret - 1);
+        if (windows.some(existing => existing.startFret === startFret)) continue; // Tones on frets 0 and 1 share the window at the nut
+        windows.push({ startFret: startFret, fretCount: 5 });
+    }
+    return windows;
+}
+
+/**
+ * Describes the fret range shown by a diagram model.
+ * @param {Object} model - A model from buildDiagramModel.
+ * @returns {string} - E.g. 'frets 0-5'.
+ */
+function describeFretRange(model) {
+    const first = model.openColumn === 'open' ? 0 : model.frets[0];
+    return `frets ${first}-${model.frets[model.frets.length - 1]}`;
+}
+
+/**
+ * Collects the diagrams of a worksheet.
+ * 'current' is the displayed diagram, 'keys' transposes it through all 12 keys, 'positions' shows
+ * one five-fret window per scale tone on the lowest string, and 'presets' holds every saved preset.
+ * An empty selection is filled with all tones of each window, so transposed sheets are never blank.
+ * @param {string} set - Diagram set id.
+ * @returns {Object[]} - Entries as { model, caption }.
+ */
+function collectWorksheetDiagrams(set) {
+    const current = snapshotState();
+    const entry = caption => {
+        if (!state.selectedNotes.size) state.selectedNotes = new Set(getWindowToneIds());
+        const model = buildDiagramModel();
+        return { model: model, caption: caption || model.title };
+    };
+    
+    if (set === 'keys') {
+        return Array.from({ length: 12 }, (_, step) => withSnapshot(transposeSnapshot(step), () => entry()));
+    }
+    
+    if (set === 'positions') {
+        return getPositionWindows().map((position, i) => withSnapshot({ ...position, selectedNotes: [] }, () => 
+            entry(`${buildDiagramModel().title} - position ${i + 1}`)
+        ));
+    }
+    
+    if (set === 'presets') {
+        return presets.map(preset => withSnapshot(preset.state, () => entry(preset.name)));
+    }
+    
+    return [withSnapshot({}, () => entry())];
+}
+
+/**
+ * Lays out worksheet entries on pages: a title on every page, the diagrams stacked in equal
+ * rows with a caption above each, and a page number at the bottom.
+ * @param {Object[]} entries - Entries from collectWorksheetDiagrams.
+ * @param {Object} options - Worksheet options.
+ * @param {string} options.title - Worksheet title.
+ * @param {Object} options.paper - An entry of PAPER_SIZES.
+ * @param {number} options.perPage - Diagrams per page.
+ * @param {boolean} options.ink - Use the ink-saving paper colors.
+ * @returns {Object[]} - Pages for buildPdf.
+ */
+function layoutWorksheet(entries, options) {
+    const margin = 40;
+    const { width, height } = options.paper;
+    const contentTop = margin + 30;
+    const rowHeight = (height - contentTop - margin - 20) / options.perPage;
+    const pageCount = Math.ceil(entries.length / options.perPage);
+    const text = (x, y, value, size, bold, anchor) => ({ type: 'text', x: x, y: y, text: value, size: size, bold: bold, fill: '#222222', anchor: anchor });
+    
+    const pages = [];
+    for (let p = 0; p < pageCount; p++) {
+        const items = [{ x: 0, y: 0, scale: 1, shapes: [
+            text(margin, margin + 12, options.title, 16, true, 'start'),
+            text(width / 2, height - margin + 10, `Page ${p + 1} of ${pageCount}`, 9, false, 'middle')
+        ] }];
+        
+        entries.slice(p * options.perPage, (p + 1) * options.perPage).forEach((entry, row) => {
+            const top = contentTop + row * rowHeight;
+            const model = options.ink ? { ...entry.model, theme: 'paper' } : entry.model;
+            const layout = layoutDiagram(model, { background: false });
+            
+            // Caption: name, then instrument, tuning and fret range
+            items[0].shapes.push(text(margin, top + 12, entry.caption, 11, true, 'start'));
+            items[0].shapes.push(text(margin, top + 25, `${model.subtitle}, ${describeFretRange(model)}`, 9, false, 'start'));
+            
+            // Diagram scaled to fit the rest of its row, never enlarged, centered across the page
+            const scale = Math.min(1, (width - 2 * margin) / layout.width, (rowHeight - 40) / layout.height);
+            items.push({ x: (width - layout.width * scale) / 2, y: top + 32, scale: scale, shapes: layout.shapes });
+        });
+        pages.push({ width: width, height: height, items: items });
+    }
+    return pages;
+}
+
+/**
+ * Shows a status message in the worksheet panel.
+ * @param {string} message - Message text.
+ * @param {boolean} [isError=false] - Style it as an error.
+ */
+function setWorksheetStatus(message, isError = false) {
+    elements.layers.worksheetStatus.innerText = message;
+    elements.layers.worksheetStatus.classList.toggle('error', isError);
+}
+
+// Handle worksheet export button click - lays out the chosen diagrams and saves the PDF
+document.getElementById('export-pdf').onclick = async () => {
+    const entries = collectWorksheetDiagrams(elements.inputs.worksheetSet.value);
+    if (!entries.length) {
+        setWorksheetStatus('There are no saved presets to print.', true);
+        return;
+    }
+    
+    const title = elements.inputs.worksheetTitle.value.trim() || 'Fretboard worksheet';
+    const pages = layoutWorksheet(entries, {
+        title: title,
+        paper: PAPER_SIZES[elements.inputs.worksheetPaper.value] || PAPER_SIZES.a4,
+        perPage: Math.min(6, Math.max(1, parseInt(elements.inputs.worksheetPerPage.value) || 4)),
+        ink: elements.inputs.worksheetInk.checked
+    });
+    const pdfSaved = await saveFile(buildPdf(pages, title), 'guitar-fretboard-worksheet.pdf', 'PDF Document');
+    setWorksheetStatus(pdfSaved 
+        ? `${entries.length} diagram${entries.length === 1 ? '' : 's'} on ${pages.length} page${pages.length === 1 ? '' : 's'}.` 
+        : 'Worksheet export cancelled.');
+};
+
+
+/**
+ * Text tab export
+ * Writes the displayed notes as plain-text tab for forums and lesson notes: either a grid with one
+ * column per fret of the window, or a chord chart with the notes of each string stacked in columns.
+ */
+
+// Reference the text tab panel elements from the DOM
+elements.inputs.tabLayout = document.getElementById('tab-layout');
+elements.inputs.tabCells = document.getElementById('tab-cells');
+elements.inputs.tabCharset = document.getElementById('tab-charset');
+elements.inputs.tabWidth = document.getElementById('tab-width');
+elements.inputs.copyTab = document.getElementById('copy-tab');
+elements.layers.tabPanel = document.getElementById('tab-panel');
+elements.layers.tabPreview = document.getElementById('tab-preview');
+
+// Line drawing characters of each character set
+const TAB_CHARSETS = {
+    ascii: { line: '-', bar: '|', muted: 'x' },
+    unicode: { line: '─', bar: '│', muted: '×' }
+};
+
+/**
+ * Replaces '#' and 'b' accidentals in a note name with the musical symbols.
+ * @param {string} name - A note name such as 'Bb' or 'F##'.
+ * @returns {string} - The name with ♯ and ♭.
+ */
+function toUnicodeAccidentals(name) {
+    return name.charAt(0) + name.slice(1).replace(/#/g, '♯').replace(/b/g, '♭');
+}
+
+/**
+ * Renders a diagram model as text tab.
+ * @param {Object} model - A model from buildDiagramModel.
+ * @param {Object} [options] - Tab options.
+ * @param {string} [options.layout='grid'] - 'grid' (one column per fret) or 'chord' (stacked notes).
+ * @param {string} [options.cells='fret'] - Cell content: 'fret' numbers or 'note' names.
+ * @param {number} [options.width=4] - Characters per column; widened to fit the longest cell.
+ * @param {string} [options.charset='ascii'] - 'ascii' or 'unicode' line drawing.
+ * @returns {string} - The tab, one line per string from the highest, under a title line.
+ */
+function buildTabText(model, options = {}) {
+    const opts = { layout: 'grid', cells: 'fret', width: 4, charset: 'ascii', ...options };
+    const chars = TAB_CHARSETS[opts.charset] || TAB_CHARSETS.ascii;
+    const unicode = chars !== TAB_CHARSETS.ascii;
+    const label = note => {
+        if (opts.cells !== 'note') return String(note.fret);
+        return unicode ? toUnicodeAccidentals(note.noteName) : note.noteName;
+    };
+    const names = model.strings.map(str => unicode ? toUnicodeAccidentals(str.name) : str.name);
+    const nameWidth = Math.max(...names.map(name => name.length));
+    
+    // Column contents per string: the grid has a fixed column per fret, the chord chart stacks notes
+    let columns;
+    if (opts.layout === 'chord') {
+        const perString = model.strings.map((str, s) => model.notes.filter(note => note.string === s).sort((a, b) => a.fret - b.fret));
+        const count = Math.max(1, ...perString.map(notes => notes.length));
+        columns = perString.map(notes => Array.from({ length: count }, (_, i) => 
+            notes[i] ? label(notes[i]) : (i === 0 ? chars.muted : '')
+        ));
+    } else {
+        const frets = (model.openColumn ? [0] : []).concat(model.frets);
+        columns = model.strings.map((str, s) => frets.map(fret => {
+            const note = model.notes.find(n => n.string === s && n.fret === fret);
+            return note ? label(note) : '';
+        }));
+    }
+    
+    // Every column gets the same width, so each cell is centered on a run of line characters
+    const longest = Math.max(1, ...columns.flat().map(cell => cell.length));
+    const width = Math.max(parseInt(opts.width) || 4, longest + 2);
+    const pad = text => {
+        const left = Math.floor((width - text.length) / 2);
+        return chars.line.repeat(left) + text + chars.line.repeat(width - left - text.length);
+    };
+    
+    const lines = [`${model.title} - ${model.subtitle}`];
+    // Note names hide the frets, so the grid gets a fret number row above it
+    if (opts.layout !== 'chord' && opts.cells === 'note') {
+        const frets = (model.openColumn ? [0] : []).concat(model.frets);
+        lines.push(' '.repeat(nameWidth + 1) + frets.map(fret => {
+            const text = String(fret);
+            const left = Math.floor((width - text.length) / 2);
+            return ' '.repeat(left) + text + ' '.repeat(width - left - text.length);
+        }).join('').trimEnd());
+    }
+    columns.forEach((cells, s) => {
+        lines.push(names[s].padEnd(nameWidth) + chars.bar + cells.map(pad).join('') + chars.bar);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Reads the text tab options from the panel.
+ * @returns {Object} - Options for buildTabText.
+ */
+function getTabOptions() {
+    return {
+        layout: elements.inputs.tabLayout.value,
+        cells: elements.inputs.tabCells.value,
+        width: Math.min(8, Math.max(2, parseInt(elements.inputs.tabWidth.value) || 4)),
+        charset: elements.inputs.tabCharset.value
+    };
+}
+
+/**
+ * Shows the tab of the current diagram in the panel, while the panel is open.
+ */
+function renderTabPreview() {
+    if (!elements.layers.tabPanel.open) return;
+    elements.layers.tabPreview.textContent = buildTabText(buildDiagramModel(), getTabOptions());
+}
+
+/**
+ * Copies text to the clipboard, falling back to a hidden text area where the Clipboard API is missing.
+ * @param {string} text - The text to copy.
+ * @returns {Promise<boolean>} - True when the text was copied.
+ */
+async function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (err) {
+            console.error('Clipboard write failed:', err);
+        }
+    }
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    const copied = document.execCommand('copy');
+    area.remove();
+    return copied;
+}
+
+// Handle copy tab button click - copies the tab and confirms on the button for a moment
+elements.inputs.copyTab.onclick = async () => {
+    const copied = await copyText(buildTabText(buildDiagramModel(), getTabOptions()));
+    const label = elements.inputs.copyTab.lastChild;
+    label.textContent = copied ? 'Copied!' : 'Copy failed';
+    setTimeout(() => { label.textContent = 'Copy tab'; }, 1500);
+};
+
+// Re-render the preview when the panel opens or an option changes
+elements.layers.tabPanel.addEventListener('toggle', renderTabPreview);
+[elements.inputs.tabLayout, elements.inputs.tabCells, elements.inputs.tabCharset, elements.inputs.tabWidth].forEach(input => {
+    input.onchange = renderTabPreview;
+});
+
+
+/**
+ * Text tab import
+ * Reads pasted tab back into a selection. Each string line becomes a string of the board (the top line
+ * is the highest string), every fret number on it a selected note. Repeated tab systems are merged,
+ * playing techniques between the numbers are skipped and counted, and string names in the line headers
+ * (e.g. 'D|' for drop D) retune the board.
+ */
+
+// Reference the tab import elements from the DOM
+elements.inputs.tabImportText = document.getElementById('tab-import-text');
+elements.inputs.tabImport = document.getElementById('tab-import');
+elements.layers.tabStatus = document.getElementById('tab-status');
+
+// Playing technique symbols found between fret numbers, with their names for the status
+const TAB_TECHNIQUES = {
+    h: 'hammer-on', p: 'pull-off', '/': 'slide', '\\': 'slide', s: 'slide',
+    b: 'bend', r: 'release', '~': 'vibrato', x: 'muted note'
+};
+
+/**
+ * Parses a block of text tab.
+ * @param {string} text - The pasted tab, possibly with chord names, lyrics or other text around it.
+ * @returns {Object} - { names: header name or null per string, frets: fret numbers per string, techniques: counts by name }.
+ * @throws {Error} - When no string lines are found or the tab systems disagree on the number of strings.
+ */
+function parseTabText(text) {
+    // Our own Unicode export uses box drawing and accidental symbols
+    const lines = text.replace(/─/g, '-').replace(/│/g, '|').replace(/×/g, 'x').replace(/♯/g, '#').replace(/♭/g, 'b').split(/\r?\n/);
+    const lineRegex = /^\s*([A-Ga-g][#b]?)?\s*[|:]\s*([-0-9|hpbrsx~\/\\()<>.*^=\s]*)$/;
+    
+    // Consecutive string lines form a system; blank or other lines end it
+    const systems = [];
+    let current = null;
+    lines.forEach(line => {
+        const match = line.match(lineRegex);
+        if (match && (match[2].match(/-/g) || []).length >= 2) {
+            if (!current) systems.push(current = []);
+            current.push({ name: match[1] || null, body: match[2] });
+        } else {
+            current = null;
+        }
+    });
+    if (!systems.length) throw new Error('No tab lines found - lines should look like "e|---5---7---|".');
+    const stringCount = systems[0].length;
+    if (systems.some(system => system.length !== stringCount)) throw new Error('The tab systems have different numbers of strings.');
+    
+    const result = {
+        names: systems[0].map(line => line.name),
+        frets: systems[0].map(() => []),
+        techniques: {}
+    };
+    systems.forEach(system => system.forEach((line, s) => {
+        // Runs of digits are fret numbers (so '12' is fret 12); technique symbols are counted
+        for (const match of line.body.matchAll(/\d+|[hpbrsx~\/\\]/g)) {
+            if (/\d/.test(match[0])) {
+                result.frets[s].push(parseInt(match[0]));
+            } else {
+                const name = TAB_TECHNIQUES[match[0]];
+                result.techniques[name] = (result.techniques[name] || 0) + 1;
+            }
+        }
+    }));
+    return result;
+}
+
+/**
+ * Finds the instrument and tuning that fit the strings of a parsed tab.
+ * Instruments with the same number of strings are tried, the current one first; each named string
+ * is retuned to the nearest pitch of its name, and the instrument needing the least retuning wins.
+ * @param {Array<string|null>} names - Header name per string, high to low (null when missing).
+ * @returns {Object} - { instrument, tuning }.
+ * @throws {Error} - When no instrument has that many strings.
+ */
+function matchTabTuning(names) {
+    const candidates = Object.keys(CONFIG.instruments)
+        .filter(id => CONFIG.instruments[id].gauges.length === names.length)
+        .sort((a, b) => (b === state.instrument) - (a === state.instrument));
+    if (!candidates.length) throw new Error(`No instrument has ${names.length} strings.`);
+    
+    let best = null;
+    candidates.forEach(id => {
+        const base = id === state.instrument ? state.tuning : CONFIG.instruments[id].tunings.standard.strings;
+        let distance = 0;
+        const tuning = base.map((midi, s) => {
+            if (!names[s]) return midi;
+            let shift = (getNoteIndex(names[s]) - midi % 12 + 12) % 12;
+            if (shift > 6) shift -= 12; // Nearest octave: tune down rather than far up
+            distance += Math.abs(shift);
+            return midi + shift;
+        });
+        if (!best || distance < best.distance) best = { instrument: id, tuning: tuning, distance: distance };
+    });
+    return { instrument: best.instrument, tuning: best.tuning };
+}
+
+/**
+ * Builds the snapshot that shows a parsed tab: its tuning, its notes and a fret window around them.
+ * Notes outside the current scale or chord switch the board to the chromatic scale, so none are hidden.
+ * @param {Object} tab - A result of parseTabText.
+ * @returns {Object} - { snapshot, noteCount, skipped }, where skipped counts frets beyond 24.
+ */
+function createTabSnapshot(tab) {
+    const { instrument, tuning } = matchTabTuning(tab.names);
+    const ids = new Set();
+    let skipped = 0;
+    tab.frets.forEach((frets, s) => frets.forEach(fret => {
+        if (fret > 24) skipped++;
+        else ids.add(`${s}-${fret}`);
+    }));
+    
+    // Window from one fret below the lowest fretted note, at least four frets wide
+    const fretted = [...ids].map(id => parseInt(id.split('-')[1])).filter(fret => fret > 0);
+    const startFret = fretted.length ? Math.min(20, Math.max(0, Math.min(...fretted) - 1)) : 0;
+    const lastFret = fretted.length ? Math.max(...fretted) : 4;
+    const fretCount = Math.min(24 - startFret, Math.max(4, lastFret - startFret));
+    
+    const snapshot = {
+        instrument: instrument,
+        tuning: tuning,
+        startFret: startFret,
+        fretCount: fretCount,
+        showOpenReference: state.showOpenReference || (startFret > 0 && [...ids].some(id => id.endsWith('-0'))),
+        selectedNotes: [...ids]
+    };
+    const allShown = withSnapshot(snapshot, () => [...ids].every(id => getNoteInfo(...id.split('-').map(Number)).inScale));
+    if (!allShown) {
+        snapshot.mode = 'scale';
+        snapshot.scaleType = 'chromatic';
+    }
+    return { snapshot: snapshot, noteCount: ids.size, skipped: skipped };
+}
+
+/**
+ * Shows a status message in the text tab panel.
+ * @param {string} message - Message text.
+ * @param {boolean} [isError=false] - Style it as an error.
+ */
+function setTabStatus(message, isError = false) {
+    elements.layers.tabStatus.innerText = message;
+    elements.layers.tabStatus.classList.toggle('error', isError);
+}
+
+// Handle tab import button click - parses the pasted tab and shows its notes
+elements.inputs.tabImport.onclick = () => {
+    try {
+        const tab = parseTabText(elements.inputs.tabImportText.value);
+        const { snapshot, noteCount, skipped } = createTabSnapshot(tab);
+        applySnapshot(snapshot);
+        updateAll();
+        commitState();
+        
+        const notes = [`Imported ${noteCount} note${noteCount === 1 ? '' : 's'} on ${tab.names.length} strings.`];
+        const techniques = Object.keys(tab.techniques).map(name => `${tab.techniques[name]} ${name}${tab.techniques[name] === 1 ? '' : 's'}`);
+        if (techniques.length) notes.push(`Skipped ${techniques.join(', ')}.`);
+        if (skipped) notes.push(`${skipped} fret${skipped === 1 ? ' is' : 's are'} beyond 24.`);
+        if (snapshot.scaleType === 'chromatic') notes.push('Switched to the chromatic scale to show every note.');
+        setTabStatus(notes.join(' '));
+    } catch (err) {
+        setTabStatus(`Import failed: ${err.message}`, true);
+    }
+};
+
+
+/**
+ * Batch export
+ * Renders one image per combination of the chosen roots, scales (or chords) and fret windows,
+ * and packages them into a ZIP file built in the browser. Images come from the same PNG and SVG
+ * exports as single diagrams, using the export settings.
+ */
+
+// Reference the batch export panel elements from the DOM
+elements.inputs.batchRoots = document.getElementById('batch-roots');
+elements.inputs.batchAllRoots = document.getElementById('batch-all-roots');
+elements.inputs.batchTypes = document.getElementById('batch-types');
+elements.inputs.batchWindows = document.getElementById('batch-windows');
+elements.inputs.batchFormat = document.getElementById('batch-format');
+elements.inputs.batchTemplate = document.getElementById('batch-template');
+elements.inputs.batchExport = document.getElementById('batch-export');
+elements.layers.batchPanel = document.getElementById('batch-panel');
+elements.layers.batchStatus = document.getElementById('batch-status');
+
+// CRC-32 lookup table for ZIP entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum of some bytes.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} - The checksum.
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Packages files into an uncompressed ZIP archive.
+ * PNG images are already compressed, so storing them keeps the writer small at little cost.
+ * @param {Object[]} files - Files as { name, data } with data as a Uint8Array.
+ * @returns {Blob} - The ZIP file.
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    // Little-endian header writer
+    const header = (size, fields) => {
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        fields.forEach(([value, length]) => {
+            if (length === 4) view.setUint32(offset, value, true);
+            else view.setUint16(offset, value, true);
+            offset += length;
+        });
+        return bytes;
+    };
+    
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+        // Version, flags (bit 11: UTF-8 names), method (0: stored), time, date, CRC, sizes, name length, extra length
+        const common = [[20, 2], [0x0800, 2], [0, 2], [dosTime, 2], [dosDate, 2], [crc, 4], [size, 4], [size, 4], [name.length, 2], [0, 2]];
+        const local = header(30, [[0x04034b50, 4], ...common]);
+        parts.push(local, name, file.data);
+        central.push(header(46, [[0x02014b50, 4], [20, 2], ...common, [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]]), name);
+        offset += local.length + name.length + size;
+    });
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = header(22, [[0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2], [centralSize, 4], [offset, 4], [0, 2]]);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * Fills a batch file name template.
+ * Supports {root}, {scale} (the scale or chord name), {startFret}, {endFret} and {index};
+ * characters that are not allowed in file names are replaced.
+ * @param {string} template - The template, e.g. '{root}-{scale}-{startFret}'.
+ * @param {Object} values - Values for the placeholders.
+ * @param {string} extension - File extension without the dot.
+ * @returns {string} - The file name.
+ */
+function fillFileTemplate(template, values, extension) {
+    const base = (template || '{root}-{scale}-{startFret}')
+        .replace(/\.(png|svg)$/i, '') // The format decides the extension
+        .replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key]) : match)
+        .replace(/[\\/:*?"<>|]+/g, '-')
+        .replace(/\s+/g, '-')
+        .replace(/-{2,}/g, '-');
+    return `${base || 'diagram'}.${extension}`;
+}
+
+/**
+ * Creates the root checkboxes, one per pitch class.
+ */
+function renderBatchRoots() {
+    elements.inputs.batchRoots.innerHTML = '';
+    CONFIG.notes.forEach((sharp, pitch) => {
+        const flat = CONFIG.flatNotes[pitch];
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = pitch;
+        label.append(box, ` ${sharp === flat ? sharp : `${sharp}/${flat}`}`);
+        elements.inputs.batchRoots.appendChild(label);
+    });
+}
+
+/**
+ * Prepares the batch panel for the current diagram: the scale or chord list of the current mode,
+ * with the current type and root preselected.
+ */
+function syncBatchPanel() {
+    populateGroupedSelect(elements.inputs.batchTypes, state.mode === 'chord' ? CONFIG.chords : CONFIG.scales);
+    const current = state.mode === 'chord' ? state.chordType : state.scaleType;
+    Array.from(elements.inputs.batchTypes.options).forEach(option => { option.selected = option.value === current; });
+    const rootIdx = getNoteIndex(state.rootNote);
+    elements.inputs.batchRoots.querySelectorAll('input').forEach(box => { box.checked = parseInt(box.value) === rootIdx; });
+}
+
+/**
+ * Lists the diagrams of a batch as snapshots with their file name values.
+ * The current selection is transposed to each root while the type stays the same; other types
+ * and positions show every tone of their window.
+ * @param {number[]} roots - Root pitch classes.
+ * @param {string[]} types - Scale or chord ids of the current mode.
+ * @param {string} windows - 'current', 'positions' (one five-fret window per tone) or 'neck' (frets 0-12).
+ * @returns {Object[]} - Items as { snapshot, values }.
+ */
+function collectBatchItems(roots, types, windows) {
+    const typeKey = state.mode === 'chord' ? 'chordType' : 'scaleType';
+    const library = state.mode === 'chord' ? CONFIG.chords : CONFIG.scales;
+    const rootIdx = getNoteIndex(state.rootNote);
+    const items = [];
+    
+    types.forEach(type => roots.forEach(pitch => {
+        const step = (pitch - rootIdx + 12) % 12;
+        const base = { ...transposeSnapshot(step, library[type].formula), [typeKey]: type };
+        if (type !== state[typeKey]) base.selectedNotes = [];
+        
+        let snapshots = [base];
+        if (windows === 'positions') {
+            snapshots = withSnapshot(base, getPositionWindows).map(position => ({ ...base, ...position, selectedNotes: [] }));
+        } else if (windows === 'neck') {
+            snapshots = [{ ...base, startFret: 0, fretCount: 12, selectedNotes: base.selectedNotes.filter(id => parseInt(id.split('-')[1]) <= 12) }];
+        }
+        
+        snapshots.forEach(snapshot => {
+            const startFret = snapshot.startFret === undefined ? state.startFret : snapshot.startFret;
+            const fretCount = snapshot.fretCount || state.fretCount;
+            items.push({
+                snapshot: snapshot,
+                values: {
+                    root: snapshot.rootNote,
+                    scale: library[type].name,
+                    startFret: startFret,
+                    endFret: startFret + fretCount,
+                    index: String(items.length + 1).padStart(2, '0')
+                }
+            });
+        });
+    }));
+    return items;
+}
+
+/**
+ * Shows a status message in the batch export panel.
+ * @param {string} message - Message text.
+ * @param {boolean} [isError=false] - Style it as an error.
+ */
+function setBatchStatus(message, isError = false) {
+    elements.layers.batchStatus.innerText = message;
+    elements.layers.batchStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Renders every batch item and saves them as one ZIP file.
+ * PNG images need the board on screen, so each item is shown in turn and the diagram restored afterwards.
+ * @param {Object[]} items - Items from collectBatchItems.
+ * @param {string} format - 'png' or 'svg'.
+ * @param {string} template - File name template.
+ */
+async function exportBatch(items, format, template) {
+    const saved = snapshotState();
+    const encoder = new TextEncoder();
+    const names = new Set();
+    const files = [];
+    
+    elements.inputs.batchExport.disabled = true;
+    try {
+        for (let i = 0; i < items.length; i++) {
+            setBatchStatus(`Rendering ${i + 1} of ${items.length}...`);
+            applySnapshot(items[i].snapshot);
+            if (!state.selectedNotes.size) state.selectedNotes = new Set(getWindowToneIds());
+            
+            let data;
+            if (format === 'svg') {
+                data = encoder.encode(renderDiagramSvg(buildDiagramModel(), getSvgExportOptions(exportSettings)));
+            } else {
+                updateAll();
+                data = new Uint8Array(await (await renderBoardPng(exportSettings)).arrayBuffer());
+            }
+            
+            // Keep names unique when the template leaves out what differs
+            const filled = fillFileTemplate(template, items[i].values, format);
+            const dot = filled.lastIndexOf('.');
+            let name = filled;
+            for (let n = 2; names.has(name); n++) name = `${filled.slice(0, dot)}-${n}${filled.slice(dot)}`;
+            names.add(name);
+            files.push({ name: name, data: data });
+        }
+        const zipSaved = await saveFile(createZip(files), `guitar-fretboard-${format}-batch.zip`, 'ZIP Archive');
+        setBatchStatus(zipSaved ? `Exported ${files.length} image${files.length === 1 ? '' : 's'}.` : 'Batch export cancelled.');
+    } catch (err) {
+        console.error('Batch export failed:', err);
+        setBatchStatus(`Batch export failed: ${err.message}`, true);
+    } finally {
+        applySnapshot(saved);
+        updateAll();
+        elements.inputs.batchExport.disabled = false;
+    }
+}
+
+// Prepare the panel whenever it opens
+elements.layers.batchPanel.addEventListener('toggle', () => {
+    if (elements.layers.batchPanel.open) syncBatchPanel();
+});
+
+// Handle the all-keys button - ticks every root, or clears them when all are ticked
+elements.inputs.batchAllRoots.onclick = () => {
+    const boxes = Array.from(elements.inputs.batchRoots.querySelectorAll('input'));
+    const all = boxes.every(box => box.checked);
+    boxes.forEach(box => { box.checked = !all; });
+};
+
+// Handle batch export button click - collects the combinations and exports them
+elements.inputs.batchExport.onclick = () => {
+    const roots = Array.from(elements.inputs.batchRoots.querySelectorAll('input:checked'), box => parseInt(box.value));
+    const types = Array.from(elements.inputs.batchTypes.selectedOptions, option => option.value);
+    if (!roots.length || !types.length) {
+        setBatchStatus(`Choose at least one root and one ${state.mode === 'chord' ? 'chord' : 'scale'}.`, true);
+        return;
+    }
+    const items = collectBatchItems(roots, types, elements.inputs.batchWindows.value);
+    exportBatch(items, elements.inputs.batchFormat.value, elements.inputs.batchTemplate.value.trim());
+};
+
+
+/**
+ * Print layout
+ * Printing swaps the page for a print view: the diagram rendered as SVG in the light paper theme,
+ * split into rows of frets that each span the page width, with an optional legend and summary.
+ * The print view is built just before printing, so browser print commands get it too.
+ */
+
+// Reference the print panel elements from the DOM
+elements.inputs.printLegend = document.getElementById('print-legend');
+elements.inputs.printSummary = document.getElementById('print-summary');
+elements.inputs.printFretsPerRow = document.getElementById('print-frets-per-row');
+elements.inputs.print = document.getElementById('print');
+elements.layers.printView = document.getElementById('print-view');
+
+/**
+ * Splits a diagram model into consecutive rows of frets.
+ * The open column stays with the first row; inlays and notes go with their frets.
+ * @param {Object} model - A model from buildDiagramModel.
+ * @param {number} fretsPerRow - Maximum frets per row.
+ * @returns {Object[]} - One model per row.
+ */
+function splitDiagramModel(model, fretsPerRow) {
+    const rows = [];
+    for (let i = 0; i < model.frets.length; i += fretsPerRow) {
+        const frets = model.frets.slice(i, i + fretsPerRow);
+        rows.push({
+            ...model,
+            frets: frets,
+            openColumn: i === 0 ? model.openColumn : null,
+            inlays: model.inlays.filter(inlay => frets.includes(inlay.fret)),
+            notes: model.notes.filter(note => frets.includes(note.fret) || (i === 0 && note.fret === 0 && model.openColumn))
+        });
+    }
+    return rows;
+}
+
+/**
+ * Summarizes the displayed diagram for print: key, scale or chord with its notes, instrument and tuning.
+ * @returns {Array<string[]>} - [label, value] pairs.
+ */
+function getDiagramSummary() {
+    const model = buildDiagramModel();
+    const isChord = state.mode === 'chord';
+    const entry = isChord ? CONFIG.chords[state.chordType] : CONFIG.scales[state.scaleType];
+    const tuningName = state.tuningId === 'custom' ? 'Custom' : getInstrument().tunings[state.tuningId].name;
+    return [
+        ['Root', state.rootNote],
+        [isChord ? 'Chord' : 'Scale', entry.name],
+        ['Notes', entry.formula.map(name => spellInterval(state.rootNote, name)).join(' ')],
+        ['Formula', entry.formula.join(' ')],
+        ['Instrument', getInstrument().name],
+        ['Tuning', `${tuningName}: ${getStringNames(state.tuning).slice().reverse().join(' ')} (low to high)`],
+        ['Frets', describeFretRange(model).replace('frets ', '')]
+    ];
+}
+
+/**
+ * Builds the print view from the current diagram and the print options.
+ */
+function renderPrintView() {
+    const view = elements.layers.printView;
+    const model = { ...buildDiagramModel(), theme: 'paper' };
+    const fretsPerRow = Math.min(24, Math.max(3, parseInt(elements.inputs.printFretsPerRow.value) || 12));
+    view.innerHTML = '';
+    
+    const title = document.createElement('h2');
+    title.innerText = model.title;
+    view.appendChild(title);
+    
+    // Rows share one scale: each takes the page share of its own width relative to the widest row
+    const rows = splitDiagramModel(model, fretsPerRow);
+    const widths = rows.map(row => layoutDiagram(row, { background: false }).width);
+    rows.forEach((row, i) => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'print-row';
+        wrapper.innerHTML = renderDiagramSvg(row, { background: false });
+        wrapper.firstElementChild.style.width = `${(widths[i] / Math.max(...widths) * 100).toFixed(2)}%`;
+        view.appendChild(wrapper);
+    });
+    
+    // Legend with the marker colors
+    if (elements.inputs.printLegend.checked) {
+        const legend = document.createElement('div');
+        legend.className = 'print-legend';
+        [['Root note', state.rootColor], ['Note', state.noteColor]].forEach(([text, color]) => {
+            const item = document.createElement('span');
+            const swatch = document.createElement('span');
+            swatch.className = 'print-swatch';
+            swatch.style.backgroundColor = color;
+            item.append(swatch, text);
+            legend.appendChild(item);
+        });
+        view.appendChild(legend);
+    }
+    
+    // Text summary of the diagram
+    if (elements.inputs.printSummary.checked) {
+        const summary = document.createElement('dl');
+        summary.className = 'print-summary';
+        getDiagramSummary().forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.innerText = label;
+            const detail = document.createElement('dd');
+            detail.innerText = value;
+            summary.append(term, detail);
+        });
+        view.appendChild(summary);
+    }
+}
+
+// Build the print view for every way of printing, and drop it afterwards
+window.addEventListener('beforeprint', renderPrintView);
+window.addEventListener('afterprint', () => { elements.layers.printView.innerHTML = ''; });
+
+// Handle print button click
+elements.inputs.print.onclick = () => window.print();
+
+
+/**
+ * Audio playback
+ * Plays the exact pitch of a clicked position with a Karplus-Strong plucked string synthesized in the
+ * browser, so no samples are needed. Pitches come from the tuning's MIDI numbers, octave included.
+ * Scheduling functions take the audio context and destination as arguments, so they also render
+ * into an OfflineAudioContext.
+ */
+
+// Audio settings, remembered in localStorage
+const AUDIO_SETTINGS_KEY = 'fretboard-audio';
+
+// Shared audio state: the context and master gain are created on the first sound (browsers require a user gesture)
+const audio = {
+    context: null,
+    master: null,
+    muted: false,
+    volume: 0.7,
+    buffers: new Map() // Pluck buffers of the live context, keyed by MIDI note and duration
+};
+
+// Reference the audio control elements from the DOM
+elements.inputs.audioMute = document.getElementById('audio-mute');
+elements.inputs.audioVolume = document.getElementById('audio-volume');
+
+/**
+ * Returns the MIDI note number sounding at a string and fret.
+ * @param {number} stringIndex - The index of the string (0 is the highest).
+ * @param {number} fret - The fret number (0 for open string).
+ * @returns {number} - The MIDI note number (60 = middle C).
+ */
+function getNoteMidi(stringIndex, fret) {
+    return state.tuning[stringIndex] + fret;
+}
+
+/**
+ * Converts a MIDI note number to a frequency in equal temperament (A4 = 440 Hz).
+ * @param {number} midi - The MIDI note number.
+ * @returns {number} - Frequency in hertz.
+ */
+function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Synthesizes a plucked string with the Karplus-Strong algorithm.
+ * A noise burst circulates through a delay line of one period, and averaging adjacent samples
+ * damps it like a string. The delay line is a whole number of samples, so the buffer comes with
+ * the playback rate that corrects its pitch exactly.
+ * @param {BaseAudioContext} context - The audio context (live or offline).
+ * @param {number} frequency - Pitch in hertz.
+ * @param {number} duration - Length in seconds.
+ * @returns {Object} - { buffer, playbackRate }.
+ */
+function createPluckBuffer(context, frequency, duration) {
+    const sampleRate = context.sampleRate;
+    const period = Math.max(2, Math.round(sampleRate / frequency));
+    const length = Math.ceil(sampleRate * duration);
+    const buffer = context.createBuffer(1, length, sampleRate);
+    const data = buffer.getChannelData(0);
+    
+    // Low strings ring longer than high ones, as on a real instrument
+    const damping = 0.996 - Math.min(0.012, frequency / 100000);
+    for (let i = 0; i < length; i++) {
+        if (i <= period) {
+            data[i] = Math.random() * 2 - 1; // Initial noise burst fills the string
+        } else {
+            data[i] = damping * 0.5 * (data[i - period] + data[i - period - 1]);
+        }
+    }
+    
+    // Smooth the attack and release so the buffer starts and ends without clicks
+    const fade = Math.min(length, Math.round(sampleRate * 0.005));
+    for (let i = 0; i < fade; i++) {
+        data[i] *= i / fade;
+        data[length - 1 - i] *= i / fade;
+    }
+    
+    // The averaging filter adds half a sample to the loop, so the string sounds at sampleRate / (period + 0.5)
+    return { buffer: buffer, playbackRate: frequency / (sampleRate / (period + 0.5)) };
+}
+
+/**
+ * Schedules a plucked note.
+ * @param {BaseAudioContext} context - The audio context (live or offline).
+ * @param {AudioNode} destination - Where the note is connected.
+ * @param {number} midi - The MIDI note number.
+ * @param {number} when - Start time in the context's seconds.
+ * @param {Object} [options] - Note options.
+ * @param {number} [options.duration=1.5] - Length in seconds, the end fading out.
+ * @param {number} [options.velocity=0.8] - Loudness from 0 to 1.
+ * @param {Map} [options.cache] - Buffer cache to reuse rendered pluck buffers.
+ * @returns {AudioBufferSourceNode} - The scheduled source.
+ */
+function schedulePluck(context, destination, midi, when, options = {}) {
+    const opts = { duration: 1.5, velocity: 0.8, ...options };
+    const key = `${midi}:${opts.duration}`;
+    let pluck = opts.cache && opts.cache.get(key);
+    if (!pluck) {
+        pluck = createPluckBuffer(context, midiToFrequency(midi), opts.duration);
+        if (opts.cache) opts.cache.set(key, pluck);
+    }
+    
+    const source = context.createBufferSource();
+    source.buffer = pluck.buffer;
+    source.playbackRate.value = pluck.playbackRate;
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(opts.velocity, when);
+    gain.gain.setValueAtTime(opts.velocity, when + opts.duration * 0.8);
+    gain.gain.linearRampToValueAtTime(0, when + opts.duration); // Release instead of cutting off
+    source.connect(gain);
+    gain.connect(destination);
+    source.start(when);
+    source.stop(when + opts.duration);
+    return source;
+}
+
+/**
+ * Returns the live audio context, creating it and the master volume on first use.
+ * @returns {AudioContext|null} - The context, or null when Web Audio is unavailable.
+ */
+function getAudioContext() {
+    if (!audio.context) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        audio.context = new AudioContextClass();
+        audio.master = audio.context.createGain();
+        audio.master.connect(audio.context.destination);
+        applyAudioSettings();
+    }
+    if (audio.context.state === 'suspended') audio.context.resume(); // Autoplay policies start it suspended
+    return audio.context;
+}
+
+/**
+ * Plays the note at a string and fret, unless audio is muted.
+ * @param {number} stringIndex - The index of the string (0 is the highest).
+ * @param {number} fret - The fret number (0 for open string).
+ */
+function playNote(stringIndex, fret) {
+    if (audio.muted) return;
+    const context = getAudioContext();
+    if (!context) return;
+    schedulePluck(context, audio.master, getNoteMidi(stringIndex, fret), context.currentTime, { cache: audio.buffers });
+}
+
+/**
+ * Applies mute and volume to the master gain and the controls.
+ */
+function applyAudioSettings() {
+    if (audio.master) audio.master.gain.value = audio.muted ? 0 : audio.volume;
+    elements.inputs.audioMute.innerText = audio.muted ? '🔇' : '🔊';
+    elements.inputs.audioMute.title = audio.muted ? 'Unmute note playback' : 'Mute note playback';
+    elements.inputs.audioVolume.value = Math.round(audio.volume * 100);
+}
+
+/**
+ * Loads the remembered mute and volume settings.
+ */
+function loadAudioSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY) || '{}');
+        audio.muted = Boolean(stored.muted);
+        const volume = parseFloat(stored.volume);
+        audio.volume = Number.isNaN(volume) ? 0.7 : Math.min(1, Math.max(0, volume));
+    } catch (err) {
+        console.error('Could not load audio settings:', err);
+    }
+    applyAudioSettings();
+}
+
+/**
+ * Saves the mute and volume settings to localStorage.
+ */
+function saveAudioSettings() {
+    try {
+        localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify({ muted: audio.muted, volume: audio.volume }));
+    } catch (err) {
+        console.error('Could not save audio settings:', err);
+    }
+}
+
+// Handle mute button click - toggles note playback
+elements.inputs.audioMute.onclick = () => {
+    audio.muted = !audio.muted;
+    applyAudioSettings();
+    saveAudioSettings();
+};
+
+// Handle volume slider - adjusts the master volume while dragging
+elements.inputs.audioVolume.oninput = (e) => {
+    audio.volume = parseInt(e.target.value) / 100;
+    applyAudioSettings();
+    saveAudioSettings();
+};
+
+
+/**
+ * Sequence playback
+ * Plays the selection, the scale or an arpeggio as a sequence and lights up each marker as it sounds.
+ * Notes are timed by a look-ahead scheduler: a timer wakes up every few milliseconds and books the
+ * notes due shortly on the audio clock, which keeps the timing exact even when the page is busy.
+ * The same scheduler renders straight into an OfflineAudioContext for testing.
+ */
+
+// Reference the transport elements from the DOM
+elements.inputs.sequenceSource = document.getElementById('sequence-source');
+elements.inputs.sequenceDirection = document.getElementById('sequence-direction');
+elements.inputs.sequenceTempo = document.getElementById('sequence-tempo');
+elements.inputs.sequenceNoteValue = document.getElementById('sequence-note-value');
+elements.inputs.sequenceLoop = document.getElementById('sequence-loop');
+elements.inputs.sequencePlay = document.getElementById('sequence-play');
+
+// Seconds between the notes of a strum
+const STRUM_SPREAD = 0.03;
+
+/**
+ * Creates a look-ahead scheduler.
+ * Events come one at a time from nextEvent, each with a 'time' on the audio clock, and are handed to
+ * onEvent ahead of time to book their sounds; onVisual runs when an event's time has come.
+ * @param {Object} options - Scheduler options.
+ * @param {Function} options.nextEvent - (previous, startTime) => the next event, or null at the end; previous is null for the first.
+ * @param {Function} options.onEvent - (event, context) => books the event's sounds.
+ * @param {Function} [options.onVisual] - (event) => updates the page when the event sounds.
+ * @param {Function} [options.onEnd] - Called when the last event has sounded.
+ * @param {number} [options.lookahead=0.1] - Seconds booked in advance.
+ * @param {number} [options.interval=25] - Milliseconds between timer wake-ups.
+ * @returns {Object} - The scheduler with start, stop and render methods.
+ */
+function createScheduler(options) {
+    const opts = { lookahead: 0.1, interval: 25, ...options };
+    const scheduler = { context: null, pending: null, visuals: [], timer: null, running: false };
+    
+    // Books every event before the given time
+    const advance = until => {
+        while (scheduler.pending && scheduler.pending.time < until) {
+            const event = scheduler.pending;
+            opts.onEvent(event, scheduler.context);
+            if (opts.onVisual) scheduler.visuals.push(event);
+            scheduler.pending = opts.nextEvent(event);
+        }
+    };
+    
+    // Timer wake-up: book ahead, run due visuals, and finish once everything has sounded
+    const tick = () => {
+        const now = scheduler.context.currentTime;
+        advance(now + opts.lookahead);
+        while (scheduler.visuals.length && scheduler.visuals[0].time <= now) opts.onVisual(scheduler.visuals.shift());
+        if (!scheduler.pending && !scheduler.visuals.length) {
+            scheduler.stop();
+            if (opts.onEnd) opts.onEnd();
+        }
+    };
+    
+    /**
+     * Starts live playback.
+     * @param {BaseAudioContext} context - The audio context.
+     * @param {number} [startTime] - When the first event sounds; defaults to just after now.
+     */
+    scheduler.start = (context, startTime = context.currentTime + 0.05) => {
+        scheduler.stop();
+        scheduler.context = context;
+        scheduler.pending = opts.nextEvent(null, startTime);
+        scheduler.running = true;
+        tick();
+        if (scheduler.running) scheduler.timer = setInterval(tick, opts.interval);
+    };
+    
+    /**
+     * Stops playback; sounds already booked still play.
+     */
+    scheduler.stop = () => {
+        clearInterval(scheduler.timer);
+        scheduler.timer = null;
+        scheduler.pending = null;
+        scheduler.visuals = [];
+        scheduler.running = false;
+    };
+    
+    /**
+     * Books all events up to a time at once, e.g. into an OfflineAudioContext.
+     * @param {BaseAudioContext} context - The audio context.
+     * @param {number} until - End of the rendered span in seconds.
+     * @param {number} [startTime=0] - When the first event sounds.
+     * @returns {Object[]} - The booked events.
+     */
+    scheduler.render = (context, until, startTime = 0) => {
+        const booked = [];
+        scheduler.context = context;
+        scheduler.pending = opts.nextEvent(null, startTime);
+        while (scheduler.pending && scheduler.pending.time < until) {
+            booked.push(scheduler.pending);
+            opts.onEvent(scheduler.pending, context);
+            scheduler.pending = opts.nextEvent(scheduler.pending);
+        }
+        scheduler.pending = null;
+        return booked;
+    };
+    
+    return scheduler;
+}
+
+/**
+ * Lists the note ids a sequence plays, before ordering.
+ * 'selection' is the displayed selection in click order, 'scale' every scale or chord tone in the window,
+ * and 'arpeggio' the chord tones in the window - the 1, 3, 5 and 7 degrees of the scale in scale mode.
+ * @param {string} source - 'selection', 'scale' or 'arpeggio'.
+ * @returns {string[]} - Note ids ('string-fret').
+ */
+function getSequenceIds(source) {
+    const windowIds = getWindowToneIds();
+    if (source === 'selection') return [...state.selectedNotes].filter(id => windowIds.includes(id));
+    if (source === 'arpeggio' && state.mode === 'scale') {
+        const chordTones = getActiveFormula()
+            .filter(name => ['1', '3', '5', '7'].includes(name.replace(/[b#]/g, ''))) // Root, third, fifth and seventh degrees
+            .map(name => CONFIG.intervalSemitones[name] % 12);
+        const rootIdx = getNoteIndex(state.rootNote);
+        return windowIds.filter(id => {
+            const [s, fret] = id.split('-').map(Number);
+            return chordTones.includes((getNoteMidi(s, fret) - rootIdx + 12) % 12);
+        });
+    }
+    return windowIds;
+}
+
+/**
+ * Builds a sequence of notes with their timing within one pass.
+ * 'up' and 'down' play each pitch once by pitch (a unison on two strings plays from the lower string),
+ * 'click' keeps the click order, and 'strum' sounds everything low to high in one bar.
+ * @param {Object} options - Sequence options.
+ * @param {string} options.source - 'selection', 'scale' or 'arpeggio'.
+ * @param {string} options.direction - 'up', 'down', 'click' or 'strum'.
+ * @param {number} options.tempo - Beats (quarter notes) per minute.
+ * @param {number} options.noteValue - Length of each step in beats (0.5 = eighth notes).
+ * @returns {Object} - { events: [{ offset, id, midi, duration, step }], length } with times in seconds; 'step' is how long the marker lights.
+ */
+function buildSequence(options) {
+    const beat = 60 / options.tempo;
+    const step = beat * options.noteValue;
+    let notes = getSequenceIds(options.source).map(id => {
+        const [s, fret] = id.split('-').map(Number);
+        return { id: id, string: s, midi: getNoteMidi(s, fret) };
+    });
+    
+    if (options.direction === 'strum') {
+        notes.sort((a, b) => b.string - a.string || a.midi - b.midi);
+        return {
+            events: notes.map((note, i) => ({ offset: i * STRUM_SPREAD, id: note.id, midi: note.midi, duration: beat * 4, step: beat })),
+            length: beat * 4
+        };
+    }
+    if (options.direction !== 'click') {
+        notes.sort((a, b) => a.midi - b.midi || b.string - a.string);
+        notes = notes.filter((note, i) => i === 0 || note.midi !== notes[i - 1].midi);
+        if (options.direction === 'down') notes.reverse();
+    }
+    return {
+        events: notes.map((note, i) => ({ offset: i * step, id: note.id, midi: note.midi, duration: Math.max(0.4, step * 1.5), step: step })),
+        length: notes.length * step
+    };
+}
+
+/**
+ * Creates the nextEvent function for a sequence, repeating it when looping.
+ * @param {Object} sequence - A sequence from buildSequence.
+ * @param {boolean} loop - Repeat until stopped.
+ * @returns {Function} - nextEvent for createScheduler.
+ */
+function createSequenceEvents(sequence, loop) {
+    let startTime = 0;
+    return (previous, start) => {
+        if (!previous) startTime = start;
+        const index = previous ? previous.index + 1 : 0;
+        const count = sequence.events.length;
+        if (!count || (!loop && index >= count)) return null;
+        const event = sequence.events[index % count];
+        return { ...event, index: index, time: startTime + Math.floor(index / count) * sequence.length + event.offset };
+    };
+}
+
+/**
+ * Lights up a note marker while it sounds.
+ * @param {Object} event - A sequence event.
+ */
+function flashNoteMarker(event) {
+    const marker = document.querySelector(`.note-spot[data-id="${event.id}"] .note-marker`);
+    if (!marker) return;
+    marker.classList.add('playing');
+    setTimeout(() => marker.classList.remove('playing'), event.step * 1000);
+}
+
+// Live sequence playback: the scheduler, the gain node that silences it on stop, when the last booked
+// note stops ringing, and the timer that stops playback once it has
+const sequencePlayback = { scheduler: null, output: null, ringsUntil: 0, endTimer: null };
+
+/**
+ * Stops the sequence, silencing notes already booked.
+ */
+function stopSequence() {
+    clearTimeout(sequencePlayback.endTimer);
+    sequencePlayback.endTimer = null;
+    if (sequencePlayback.scheduler) sequencePlayback.scheduler.stop();
+    if (sequencePlayback.output) sequencePlayback.output.disconnect();
+    sequencePlayback.scheduler = null;
+    sequencePlayback.output = null;
+    document.querySelectorAll('.note-marker.playing').forEach(marker => marker.classList.remove('playing'));
+    elements.inputs.sequencePlay.innerText = '▶ Play';
+}
+
+/**
+ * Reads the transport controls into sequence options.
+ * @returns {Object} - Options for buildSequence, plus 'loop'.
+ */
+function getSequenceOptions() {
+    return {
+        source: elements.inputs.sequenceSource.value,
+        direction: elements.inputs.sequenceDirection.value,
+        tempo: Math.min(300, Math.max(20, parseInt(elements.inputs.sequenceTempo.value) || 100)),
+        noteValue: parseFloat(elements.inputs.sequenceNoteValue.value) || 0.5,
+        loop: elements.inputs.sequenceLoop.checked
+    };
+}
+
+// Handle play button click - starts the sequence, or stops it while playing
+elements.inputs.sequencePlay.onclick = () => {
+    if (sequencePlayback.scheduler) {
+        stopSequence();
+        return;
+    }
+    const context = getAudioContext();
+    if (!context) return;
+    const options = getSequenceOptions();
+    const sequence = buildSequence(options);
+    if (!sequence.events.length) return;
+    
+    clearTimeout(sequencePlayback.endTimer);
+    const output = context.createGain();
+    output.connect(audio.master);
+    sequencePlayback.output = output;
+    sequencePlayback.ringsUntil = 0;
+    sequencePlayback.scheduler = createScheduler({
+        nextEvent: createSequenceEvents(sequence, options.loop),
+        onEvent: (event, ctx) => {
+            schedulePluck(ctx, output, event.midi, event.time, { duration: event.duration, cache: audio.buffers });
+            sequencePlayback.ringsUntil = Math.max(sequencePlayback.ringsUntil, event.time + event.duration);
+        },
+        onVisual: flashNoteMarker,
+        // Stop once every booked note has rung out
+        onEnd: () => {
+            const remaining = sequencePlayback.ringsUntil - context.currentTime;
+            sequencePlayback.endTimer = setTimeout(stopSequence, Math.max(0, remaining) * 1000);
+        }
+    });
+    elements.inputs.sequencePlay.innerText = '■ Stop';
+    sequencePlayback.scheduler.start(context);
+};
+
+
+/**
+ * Drone
+ * Sustains the root note (optionally with its fifth) as a reference while practicing, and glides
+ * to the new root whenever it changes. The engine only needs a BaseAudioContext, so a drone can be
+ * rendered into an OfflineAudioContext for testing.
+ */
+
+// Reference the drone elements from the DOM
+elements.inputs.droneToggle = document.getElementById('drone-toggle');
+elements.inputs.droneOctave = document.getElementById('drone-octave');
+elements.inputs.droneFifth = document.getElementById('drone-fifth');
+elements.inputs.droneTimbre = document.getElementById('drone-timbre');
+elements.inputs.droneFade = document.getElementById('drone-fade');
+
+// Drone timbres: harmonic amplitudes of the waveform and an optional low-pass cutoff (multiple of the pitch)
+const DRONE_TIMBRES = {
+    sine: { name: 'Sine', harmonics: [1] },
+    organ: { name: 'Organ', harmonics: [1, 0.6, 0.3, 0.25, 0, 0.12, 0, 0.08] },
+    reed: { name: 'Reed', harmonics: [1, 0.5, 0.33, 0.25, 0.2, 0.17, 0.14, 0.12, 0.11, 0.1], cutoff: 6 },
+    tanpura: { name: 'Tanpura', harmonics: [1, 0.8, 0.6, 0.5, 0.45, 0.4, 0.3, 0.25, 0.2, 0.2, 0.15, 0.12], cutoff: 10 }
+};
+
+// Drone loudness, kept below plucked notes so they stand out
+const DRONE_LEVEL = 0.25;
+
+// Time constant in seconds for gliding to a new root and switching the fifth
+const DRONE_GLIDE = 0.05;
+
+/**
+ * Returns the MIDI note of a root name in an octave.
+ * @param {string} rootName - The root note name (e.g. 'F#').
+ * @param {number} octave - Scientific pitch octave (2 = the low E string's octave).
+ * @returns {number} - The MIDI note number.
+ */
+function getRootMidi(rootName, octave) {
+    return 12 * (octave + 1) + getNoteIndex(rootName);
+}
+
+/**
+ * Creates a drone on an audio context; it is silent until started.
+ * Each voice is an oscillator with the timbre's waveform (through a low-pass filter when it has one),
+ * and a shared gain node fades the whole drone in and out.
+ * @param {BaseAudioContext} context - The audio context (live or offline).
+ * @param {AudioNode} destination - Node the drone plays into.
+ * @param {Object} options - Drone options.
+ * @param {number} options.midi - The root as a MIDI note.
+ * @param {boolean} [options.fifth=false] - Add the fifth above the root.
+ * @param {string} [options.timbre='sine'] - A DRONE_TIMBRES key.
+ * @param {number} [options.fade=1] - Fade in and out time in seconds.
+ * @returns {Object} - The drone with start, retune, setFifth and stop methods.
+ */
+function createDrone(context, destination, options) {
+    const opts = { fifth: false, timbre: 'sine', fade: 1, ...options };
+    const timbre = DRONE_TIMBRES[opts.timbre] || DRONE_TIMBRES.sine;
+    const real = new Float32Array(timbre.harmonics.length + 1);
+    const imag = new Float32Array([0, ...timbre.harmonics]);
+    const wave = context.createPeriodicWave(real, imag);
+    
+    const output = context.createGain();
+    output.gain.value = 0;
+    output.connect(destination);
+    
+    // One voice per drone tone: the root, and the fifth seven semitones up
+    const voices = [0, 7].map(interval => {
+        const oscillator = context.createOscillator();
+        oscillator.setPeriodicWave(wave);
+        oscillator.frequency.value = midiToFrequency(opts.midi + interval);
+        const level = context.createGain();
+        level.gain.value = interval === 0 || opts.fifth ? 1 : 0;
+        let node = oscillator;
+        let filter = null;
+        if (timbre.cutoff) {
+            filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = midiToFrequency(opts.midi + interval) * timbre.cutoff;
+            node.connect(filter);
+            node = filter;
+        }
+        node.connect(level);
+        level.connect(output);
+        return { interval, oscillator, filter, level };
+    });
+    
+    const drone = { midi: opts.midi, fifth: opts.fifth, timbre: opts.timbre, fade: opts.fade, output: output };
+    let fadeIn = { start: 0, end: 0 }; // Times of the fade in, set on start
+    
+    /**
+     * Starts the drone, fading it in.
+     * @param {number} [when] - Start time; defaults to now.
+     */
+    drone.start = (when = context.currentTime) => {
+        fadeIn = { start: when, end: when + drone.fade };
+        voices.forEach(voice => voice.oscillator.start(when));
+        output.gain.setValueAtTime(0, when);
+        output.gain.linearRampToValueAtTime(DRONE_LEVEL, fadeIn.end);
+    };
+    
+    /**
+     * Glides the drone to a new root.
+     * @param {number} midi - The new root as a MIDI note.
+     * @param {number} [when] - Time of the change; defaults to now.
+     */
+    drone.retune = (midi, when = context.currentTime) => {
+        drone.midi = midi;
+        voices.forEach(voice => {
+            const frequency = midiToFrequency(midi + voice.interval);
+            voice.oscillator.frequency.setTargetAtTime(frequency, when, DRONE_GLIDE);
+            if (voice.filter) voice.filter.frequency.setTargetAtTime(frequency * timbre.cutoff, when, DRONE_GLIDE);
+        });
+    };
+    
+    /**
+     * Adds or removes the fifth.
+     * @param {boolean} fifth - Whether the fifth sounds.
+     * @param {number} [when] - Time of the change; defaults to now.
+     */
+    drone.setFifth = (fifth, when = context.currentTime) => {
+        drone.fifth = fifth;
+        voices[1].level.gain.setTargetAtTime(fifth ? 1 : 0, when, DRONE_GLIDE);
+    };
+    
+    /**
+     * Fades the drone out and stops it.
+     * @param {number} [when] - Time the fade out begins; defaults to now.
+     * @returns {number} - Time the drone falls silent.
+     */
+    drone.stop = (when = context.currentTime) => {
+        const end = when + drone.fade;
+        if (when >= fadeIn.end) {
+            output.gain.setValueAtTime(DRONE_LEVEL, when);
+        } else if (output.gain.cancelAndHoldAtTime) {
+            output.gain.cancelAndHoldAtTime(when); // Fade out from wherever the fade in has got to
+        } else {
+            const progress = (when - fadeIn.start) / (fadeIn.end - fadeIn.start);
+            output.gain.cancelScheduledValues(when);
+            output.gain.setValueAtTime(DRONE_LEVEL * Math.max(0, progress), when);
+        }
+        output.gain.linearRampToValueAtTime(0, end);
+        voices.forEach(voice => voice.oscillator.stop(end + 0.05));
+        setTimeout(() => output.disconnect(), (end - context.currentTime + 0.1) * 1000);
+        return end;
+    };
+    
+    return drone;
+}
+
+// The running drone, or null when it is off
+let liveDrone = null;
+
+/**
+ * Fills the drone timbre dropdown from the timbre configuration.
+ */
+function populateDroneTimbres() {
+    elements.inputs.droneTimbre.innerHTML = ''; // Clear existing options
+    Object.keys(DRONE_TIMBRES).forEach(id => {
+        elements.inputs.droneTimbre.add(new Option(DRONE_TIMBRES[id].name, id));
+    });
+}
+
+/**
+ * Reads the drone controls into drone options for the current root.
+ * @returns {Object} - Options for createDrone.
+ */
+function getDroneOptions() {
+    return {
+        midi: getRootMidi(state.rootNote, parseInt(elements.inputs.droneOctave.value)),
+        fifth: elements.inputs.droneFifth.checked,
+        timbre: elements.inputs.droneTimbre.value,
+        fade: Math.min(10, Math.max(0, parseFloat(elements.inputs.droneFade.value) || 0))
+    };
+}
+
+/**
+ * Starts the drone with the current controls, fading out any running one.
+ */
+function startDrone() {
+    const context = getAudioContext();
+    if (!context) return;
+    if (liveDrone) liveDrone.stop();
+    liveDrone = createDrone(context, audio.master, getDroneOptions());
+    liveDrone.start();
+    elements.inputs.droneToggle.classList.add('active');
+}
+
+/**
+ * Fades the drone out.
+ */
+function stopDrone() {
+    if (liveDrone) liveDrone.stop();
+    liveDrone = null;
+    elements.inputs.droneToggle.classList.remove('active');
+}
+
+/**
+ * Retunes a running drone to the current root, octave and fifth setting.
+ */
+function updateDrone() {
+    if (!liveDrone) return;
+    const options = getDroneOptions();
+    if (options.midi !== liveDrone.midi) liveDrone.retune(options.midi);
+    if (options.fifth !== liveDrone.fifth) liveDrone.setFifth(options.fifth);
+    liveDrone.fade = options.fade;
+}
+
+// Handle drone button click - fades the drone in or out
+elements.inputs.droneToggle.onclick = () => {
+    if (liveDrone) stopDrone();
+    else startDrone();
+};
+
+// Handle octave and fifth changes - glide the running drone
+elements.inputs.droneOctave.onchange = updateDrone;
+elements.inputs.droneFifth.onchange = updateDrone;
+elements.inputs.droneFade.onchange = updateDrone;
+
+// Handle timbre change - crossfades to a drone with the new waveform
+elements.inputs.droneTimbre.onchange = () => {
+    if (liveDrone) startDrone();
+};
+
+
+/**
+ * Metronome
+ * Clicks on the audio clock through the look-ahead scheduler of the sequence playback, with a
+ * time signature, an accent per beat and subdivisions. It can also step a highlight through the
+ * selected notes in click order, one note per beat.
+ */
+
+// Reference the metronome elements from the DOM
+elements.inputs.metronomeToggle = document.getElementById('metronome-toggle');
+elements.inputs.metronomeBpm = document.getElementById('metronome-bpm');
+elements.inputs.metronomeTap = document.getElementById('metronome-tap');
+elements.inputs.metronomeSignature = document.getElementById('metronome-signature');
+elements.inputs.metronomeSubdivision = document.getElementById('metronome-subdivision');
+elements.inputs.metronomeStep = document.getElementById('metronome-step');
+elements.layers.metronomeAccents = document.getElementById('metronome-accents');
+
+// Time signatures: beats per bar and their default accents
+const METRONOME_SIGNATURES = {
+    '2/4': ['accent', 'normal'],
+    '3/4': ['accent', 'normal', 'normal'],
+    '4/4': ['accent', 'normal', 'normal', 'normal'],
+    '5/4': ['accent', 'normal', 'normal', 'accent', 'normal'],
+    '6/8': ['accent', 'normal', 'normal', 'accent', 'normal', 'normal'],
+    '7/8': ['accent', 'normal', 'accent', 'normal', 'accent', 'normal', 'normal']
+};
+
+// Accent levels in the order a beat button cycles through them, with their click pitch and loudness
+const METRONOME_ACCENTS = {
+    accent: { symbol: '●', frequency: 1760, level: 1 },
+    normal: { symbol: '○', frequency: 1320, level: 0.6 },
+    mute: { symbol: '·', frequency: 0, level: 0 }
+};
+
+// Click of a subdivision between beats
+const METRONOME_SUBDIVISION_CLICK = { frequency: 990, level: 0.3 };
+
+// Tempo range in beats per minute
+const METRONOME_MIN_BPM = 30;
+const METRONOME_MAX_BPM = 300;
+
+// Metronome settings and the live scheduler; settings are read on every click, so changes apply at once
+const metronome = {
+    bpm: 100,
+    signature: '4/4',
+    accents: [...METRONOME_SIGNATURES['4/4']],
+    subdivision: 1,
+    step: false,
+    scheduler: null,
+    output: null,
+    taps: [] // Recent tap tempo times in milliseconds
+};
+
+/**
+ * Schedules one metronome click: a short sine blip with a fast decay.
+ * @param {BaseAudioContext} context - The audio context (live or offline).
+ * @param {AudioNode} destination - Node the click plays into.
+ * @param {number} when - Start time in seconds.
+ * @param {Object} click - { frequency, level } of the click.
+ */
+function scheduleClick(context, destination, when, click) {
+    if (!click.level) return;
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = click.frequency;
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(click.level, when);
+    gain.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+    oscillator.connect(gain);
+    gain.connect(destination);
+    oscillator.start(when);
+    oscillator.stop(when + 0.06);
+}
+
+/**
+ * Returns the next metronome event: each subdivision of each beat, spaced by the current tempo.
+ * @param {Object|null} previous - The previous event, or null for the first.
+ * @param {number} [startTime] - Time of the first event.
+ * @returns {Object} - { time, index, beat, sub } where index counts beats since the start.
+ */
+function nextMetronomeEvent(previous, startTime) {
+    if (!previous) return { time: startTime, index: 0, beat: 0, sub: 0 };
+    const sub = (previous.sub + 1) % metronome.subdivision;
+    const index = sub === 0 ? previous.index + 1 : previous.index;
+    return {
+        time: previous.time + 60 / metronome.bpm / metronome.subdivision,
+        index: index,
+        beat: index % metronome.accents.length,
+        sub: sub
+    };
+}
+
+/**
+ * Returns the click of a metronome event.
+ * @param {Object} event - A metronome event.
+ * @returns {Object} - { frequency, level } of the click.
+ */
+function getMetronomeClick(event) {
+    return event.sub ? METRONOME_SUBDIVISION_CLICK : METRONOME_ACCENTS[metronome.accents[event.beat]];
+}
+
+/**
+ * Shows the sounding beat on the accent buttons and, when stepping, lights the next selected note.
+ * @param {Object} event - A metronome event.
+ */
+function showMetronomeBeat(event) {
+    if (event.sub) return;
+    [...elements.layers.metronomeAccents.children].forEach((button, i) => button.classList.toggle('current', i === event.beat));
+    if (!metronome.step) return;
+    const ids = getSequenceIds('selection');
+    if (ids.length) flashNoteMarker({ id: ids[event.index % ids.length], step: 60 / metronome.bpm });
+}
+
+/**
+ * Renders one button per beat of the bar; clicking one cycles its accent.
+ */
+function renderMetronomeAccents() {
+    elements.layers.metronomeAccents.innerHTML = '';
+    const levels = Object.keys(METRONOME_ACCENTS);
+    metronome.accents.forEach((accent, i) => {
+        const button = document.createElement('button');
+        button.className = `metronome-beat ${accent}`;
+        button.innerText = METRONOME_ACCENTS[accent].symbol;
+        button.title = `Beat ${i + 1}: ${accent}`;
+        button.onclick = () => {
+            metronome.accents[i] = levels[(levels.indexOf(accent) + 1) % levels.length];
+            renderMetronomeAccents();
+        };
+        elements.layers.metronomeAccents.appendChild(button);
+    });
+}
+
+/**
+ * Sets the tempo, clamped to the supported range, and reflects it in the input.
+ * @param {number} bpm - Beats per minute.
+ */
+function setMetronomeBpm(bpm) {
+    metronome.bpm = Math.min(METRONOME_MAX_BPM, Math.max(METRONOME_MIN_BPM, Math.round(bpm) || metronome.bpm));
+    elements.inputs.metronomeBpm.value = metronome.bpm;
+}
+
+/**
+ * Starts the metronome on the live audio context.
+ */
+function startMetronome() {
+    const context = getAudioContext();
+    if (!context) return;
+    metronome.output = context.createGain();
+    metronome.output.connect(audio.master);
+    metronome.scheduler = createScheduler({
+        nextEvent: nextMetronomeEvent,
+        onEvent: (event, ctx) => scheduleClick(ctx, metronome.output, event.time, getMetronomeClick(event)),
+        onVisual: showMetronomeBeat
+    });
+    metronome.scheduler.start(context);
+    elements.inputs.metronomeToggle.classList.add('active');
+}
+
+/**
+ * Stops the metronome and clears the beat display.
+ */
+function stopMetronome() {
+    if (metronome.scheduler) metronome.scheduler.stop();
+    if (metronome.output) metronome.output.disconnect();
+    metronome.scheduler = null;
+    metronome.output = null;
+    elements.inputs.metronomeToggle.classList.remove('active');
+    [...elements.layers.metronomeAccents.children].forEach(button => button.classList.remove('current'));
+}
+
+// Handle metronome button click - starts or stops the click
+elements.inputs.metronomeToggle.onclick = () => {
+    if (metronome.scheduler) stopMetronome();
+    else startMetronome();
+};
+
+// Handle tempo input - applies from the next click
+elements.inputs.metronomeBpm.onchange = (e) => setMetronomeBpm(parseInt(e.target.value));
+
+// Handle tap tempo - averages the intervals of the recent taps; a pause of two seconds starts over
+elements.inputs.metronomeTap.onclick = () => {
+    const now = performance.now();
+    const last = metronome.taps[metronome.taps.length - 1];
+    if (last !== undefined && now - last > 2000) metronome.taps = [];
+    metronome.taps = [...metronome.taps, now].slice(-5);
+    if (metronome.taps.length < 2) return;
+    const span = metronome.taps[metronome.taps.length - 1] - metronome.taps[0];
+    setMetronomeBpm(60000 / (span / (metronome.taps.length - 1)));
+};
+
+// Handle time signature change - resets the accents to the signature's defaults
+elements.inputs.metronomeSignature.onchange = (e) => {
+    metronome.signature = e.target.value;
+    metronome.accents = [...METRONOME_SIGNATURES[metronome.signature]];
+    renderMetronomeAccents();
+};
+
+// Handle subdivision change - clicks per beat
+elements.inputs.metronomeSubdivision.onchange = (e) => {
+    metronome.subdivision = parseInt(e.target.value) || 1;
+};
+
+// Handle step toggle - highlights the selected notes one per beat
+elements.inputs.metronomeStep.onchange = (e) => {
+    metronome.step = e.target.checked;
+};
 
 // Initialize the fretboard with the current state configuration
+populateInstruments();
+loadCustomLibrary(); // Merges saved custom entries and fills the scale and chord dropdowns
+renderCustomSemitones();
+renderCustomList();
+loadPresets();
+renderPresets();
+loadExportSettings();
+loadAudioSettings();
+populateDroneTimbres();
+renderMetronomeAccents();
+renderBatchRoots();
+if (!readStateFromUrl()) restoreSession(); // A shared link wins over the auto-saved session
 updateAll();
+writeStateToUrl(true); // Give the first history entry a hash too, so going back to it restores this diagram
+resetHistoryBaseline(); // History starts from the restored diagram
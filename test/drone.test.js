@@ -0,0 +1,114 @@
+/**
+ * Drone tests
+ * Renders drones into an OfflineAudioContext and measures the output: its level through the
+ * fades, and its pitch by counting zero crossings.
+ */
+
+// Sample rate of the offline renders
+const DRONE_SAMPLE_RATE = 8000;
+
+/**
+ * Renders a drone offline.
+ * @param {Window} app - The window of the loaded app.
+ * @param {Object} options - Options for createDrone.
+ * @param {number} length - Rendered length in seconds.
+ * @param {Function} play - (drone) => schedules start, retune, setFifth and stop calls.
+ * @returns {Promise<Float32Array>} - The rendered samples.
+ */
+async function renderDrone(app, options, length, play) {
+    const context = new OfflineAudioContext(1, length * DRONE_SAMPLE_RATE, DRONE_SAMPLE_RATE);
+    play(app.createDrone(context, context.destination, options));
+    const buffer = await context.startRendering();
+    return buffer.getChannelData(0);
+}
+
+/**
+ * Returns the RMS level of the samples between two times.
+ * @param {Float32Array} samples - Rendered samples.
+ * @param {number} from - Start in seconds.
+ * @param {number} to - End in seconds.
+ * @returns {number} - The RMS level.
+ */
+function rmsBetween(samples, from, to) {
+    const start = Math.floor(from * DRONE_SAMPLE_RATE);
+    const end = Math.floor(to * DRONE_SAMPLE_RATE);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / (end - start));
+}
+
+/**
+ * Estimates the pitch of a pure tone from its rising zero crossings between two times.
+ * @param {Float32Array} samples - Rendered samples.
+ * @param {number} from - Start in seconds.
+ * @param {number} to - End in seconds.
+ * @returns {number} - Frequency in hertz.
+ */
+function pitchBetween(samples, from, to) {
+    const crossings = [];
+    for (let i = Math.floor(from * DRONE_SAMPLE_RATE) + 1; i < to * DRONE_SAMPLE_RATE; i++) {
+        if (samples[i - 1] < 0 && samples[i] >= 0) crossings.push(i - samples[i] / (samples[i] - samples[i - 1]));
+    }
+    return (crossings.length - 1) * DRONE_SAMPLE_RATE / (crossings[crossings.length - 1] - crossings[0]);
+}
+
+test('the root note follows the root name and octave', app => {
+    assertEqual(app.getRootMidi('E', 2), 40, 'E2');
+    assertEqual(app.getRootMidi('A', 2), 45, 'A2');
+    assertEqual(app.getRootMidi('Bb', 3), 58, 'Bb3');
+});
+
+test('a drone fades in to a steady tone at the root pitch', async app => {
+    const samples = await renderDrone(app, { midi: 45, fade: 0.5 }, 1.5, drone => drone.start(0));
+    const steady = rmsBetween(samples, 1, 1.5);
+    assert(steady > 0.1, `steady level ${steady}`);
+    assert(rmsBetween(samples, 0, 0.05) < steady * 0.2, 'quiet at the start of the fade in');
+    assert(rmsBetween(samples, 0.2, 0.3) < steady * 0.8, 'still rising during the fade in');
+    assertClose(pitchBetween(samples, 1, 1.5), 110, 1, 'pitch of A2');
+});
+
+test('retune glides to the new root', async app => {
+    const samples = await renderDrone(app, { midi: 45, fade: 0.1 }, 2, drone => {
+        drone.start(0);
+        drone.retune(52, 1);
+    });
+    assertClose(pitchBetween(samples, 0.5, 1), 110, 1, 'pitch before retuning');
+    assertClose(pitchBetween(samples, 1.5, 2), 164.81, 1.5, 'pitch of E3 after retuning');
+});
+
+test('the fifth adds a second voice a fifth above', async app => {
+    const samples = await renderDrone(app, { midi: 45, fade: 0.1 }, 2, drone => {
+        drone.start(0);
+        drone.setFifth(true, 1);
+    });
+    const root = rmsBetween(samples, 0.5, 1);
+    const both = rmsBetween(samples, 1.5, 2);
+    assertClose(both / root, Math.SQRT2, 0.1, 'level of two equal voices');
+    
+    const withFifth = await renderDrone(app, { midi: 45, fifth: true, fade: 0.1 }, 1, drone => drone.start(0));
+    assertClose(rmsBetween(withFifth, 0.5, 1) / root, Math.SQRT2, 0.1, 'fifth from the start');
+});
+
+test('stop fades out to silence, also in the middle of a fade in', async app => {
+    const samples = await renderDrone(app, { midi: 45, fade: 0.5 }, 3, drone => {
+        drone.start(0);
+        drone.stop(1.5);
+    });
+    const steady = rmsBetween(samples, 1, 1.5);
+    assert(rmsBetween(samples, 1.7, 1.8) < steady * 0.8, 'falling during the fade out');
+    assert(rmsBetween(samples, 2.1, 3) < 1e-4, 'silent after the fade out');
+    
+    const early = await renderDrone(app, { midi: 45, fade: 1 }, 2, drone => {
+        drone.start(0);
+        drone.stop(0.5);
+    });
+    assert(rmsBetween(early, 0.5, 0.55) < steady * 0.7, 'no jump to full level when stopped early');
+    assert(rmsBetween(early, 1.6, 2) < 1e-4, 'silent after the early fade out');
+});
+
+test('every timbre sounds at the root pitch', async app => {
+    for (const timbre of Object.keys(appGlobal(app, 'DRONE_TIMBRES'))) {
+        const samples = await renderDrone(app, { midi: 45, timbre: timbre, fade: 0.1 }, 1, drone => drone.start(0));
+        assert(rmsBetween(samples, 0.5, 1) > 0.05, `${timbre} is audible`);
+    }
+});
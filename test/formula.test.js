@@ -0,0 +1,38 @@
+/**
+ * Custom formula tests
+ * Checks how interval formulas typed into the custom library editor are parsed and validated.
+ */
+
+/**
+ * Returns the error message parseFormula throws for a formula, or null when it parses.
+ * @param {Window} app - The window of the loaded app.
+ * @param {string} text - The formula.
+ * @returns {string|null} - The error message.
+ */
+function formulaError(app, text) {
+    try {
+        app.parseFormula(text);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+test('a formula is sorted by distance from the root', app => {
+    assertEqual(app.parseFormula('5, 1 b3  b7'), ['1', 'b3', '5', 'b7'], 'sorted names');
+});
+
+test('a formula without the root is rejected', app => {
+    assertEqual(formulaError(app, '3 5'), 'The formula must contain the root (1).', 'error');
+});
+
+test('two names for one pitch are rejected', app => {
+    assertEqual(formulaError(app, '1 #4 b5'), '"b5" repeats a pitch already in the formula.', 'error');
+});
+
+test('unknown and inherited object keys are not intervals', app => {
+    assertEqual(formulaError(app, '1 3 x'), 'Unknown interval "x".', 'unknown name');
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(name => {
+        assertEqual(formulaError(app, `1 3 ${name}`), `Unknown interval "${name}".`, name);
+    });
+});
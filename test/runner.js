@@ -0,0 +1,104 @@
+/**
+ * Test runner
+ * Loads the app (index.html) in a hidden frame, runs the registered tests against its globals and
+ * lists the results. Serve the repository folder over HTTP (e.g. 'python3 -m http.server') and
+ * open test/index.html; the frame must share the page's origin.
+ */
+
+// Registered tests as { name, fn }
+const tests = [];
+
+/**
+ * Registers a test.
+ * @param {string} name - What the test checks.
+ * @param {Function} fn - (app) => void or a Promise; throws to fail. 'app' is the window of the loaded app.
+ */
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+/**
+ * Fails the current test unless the condition holds.
+ * @param {boolean} condition - The checked condition.
+ * @param {string} message - Failure message.
+ */
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/**
+ * Fails the current test unless two values are equal (compared as JSON).
+ * @param {*} actual - The value produced.
+ * @param {*} expected - The value wanted.
+ * @param {string} message - Failure message.
+ */
+function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const b = JSON.stringify(expected);
+    assert(a === b, `${message}: expected ${b}, got ${a}`);
+}
+
+/**
+ * Fails the current test unless a number is within a tolerance of the expected value.
+ * @param {number} actual - The value produced.
+ * @param {number} expected - The value wanted.
+ * @param {number} tolerance - Largest allowed difference.
+ * @param {string} message - Failure message.
+ */
+function assertClose(actual, expected, tolerance, message) {
+    assert(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+/**
+ * Returns a global of the app; 'const' and 'let' globals are not window properties, so they are read through eval.
+ * @param {Window} app - The window of the loaded app.
+ * @param {string} name - The global's name (e.g. 'state').
+ * @returns {*} - The global's value.
+ */
+function appGlobal(app, name) {
+    return app.eval(name);
+}
+
+/**
+ * Loads the app in a hidden frame.
+ * @returns {Promise<Window>} - The window of the loaded app.
+ */
+function loadApp() {
+    return new Promise((resolve, reject) => {
+        const frame = document.createElement('iframe');
+        frame.hidden = true;
+        frame.onload = () => resolve(frame.contentWindow);
+        frame.onerror = () => reject(new Error('Could not load index.html'));
+        frame.src = '../index.html';
+        document.body.appendChild(frame);
+    });
+}
+
+/**
+ * Runs every registered test against a freshly loaded app and lists the results.
+ */
+async function runTests() {
+    const results = document.getElementById('results');
+    let failed = 0;
+    for (const { name, fn } of tests) {
+        const app = await loadApp(); // A fresh app per test, so state never leaks between tests
+        const item = document.createElement('li');
+        try {
+            await fn(app);
+            item.className = 'pass';
+            item.innerText = `✔ ${name}`;
+        } catch (err) {
+            failed++;
+            item.className = 'fail';
+            item.innerText = `✘ ${name} - ${err.message}`;
+        }
+        results.appendChild(item);
+        app.frameElement.remove();
+    }
+    const summary = document.getElementById('summary');
+    summary.innerText = failed ? `${failed} of ${tests.length} tests failed` : `All ${tests.length} tests passed`;
+    summary.className = failed ? 'fail' : 'pass';
+    document.title = failed ? 'FAIL' : 'PASS';
+}
+
+window.addEventListener('load', runTests);
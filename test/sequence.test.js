@@ -0,0 +1,105 @@
+/**
+ * Sequence playback tests
+ * Renders sequences into an OfflineAudioContext through the look-ahead scheduler, so the timing
+ * is checked without audio hardware.
+ */
+
+// Sample rate of the offline renders; low to keep them quick
+const SEQUENCE_SAMPLE_RATE = 8000;
+
+/**
+ * Selects notes in click order on the app's fretboard (standard guitar tuning).
+ * @param {Window} app - The window of the loaded app.
+ * @param {string[]} ids - Note ids ('string-fret') in click order.
+ */
+function selectNotes(app, ids) {
+    const state = appGlobal(app, 'state');
+    app.applySnapshot({ ...app.snapshotState(), instrument: 'guitar6', tuning: [64, 59, 55, 50, 45, 40], startFret: 0, fretCount: 12, mode: 'scale', scaleType: 'chromatic' });
+    state.selectedNotes = new Set(ids);
+}
+
+/**
+ * Renders a sequence offline and returns what was booked.
+ * @param {Window} app - The window of the loaded app.
+ * @param {Object} options - Options for buildSequence, plus 'loop'.
+ * @param {number} until - Rendered length in seconds.
+ * @param {number} [startTime=0] - When the first note sounds.
+ * @returns {Promise<Object>} - { events, samples } with the booked events and the rendered audio.
+ */
+async function renderSequence(app, options, until, startTime = 0) {
+    const context = new OfflineAudioContext(1, Math.ceil(until * SEQUENCE_SAMPLE_RATE), SEQUENCE_SAMPLE_RATE);
+    const scheduler = app.createScheduler({
+        nextEvent: app.createSequenceEvents(app.buildSequence(options), options.loop),
+        onEvent: (event, ctx) => app.schedulePluck(ctx, ctx.destination, event.midi, event.time, { duration: event.duration })
+    });
+    const events = scheduler.render(context, until, startTime);
+    const buffer = await context.startRendering();
+    return { events, samples: buffer.getChannelData(0) };
+}
+
+/**
+ * Returns the peak level of the rendered audio between two times.
+ * @param {Float32Array} samples - Rendered samples.
+ * @param {number} from - Start in seconds.
+ * @param {number} to - End in seconds.
+ * @returns {number} - The largest absolute sample value.
+ */
+function peakBetween(samples, from, to) {
+    let peak = 0;
+    for (let i = Math.floor(from * SEQUENCE_SAMPLE_RATE); i < Math.min(samples.length, to * SEQUENCE_SAMPLE_RATE); i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    return peak;
+}
+
+// G4, G2, C4 and B2 in click order; 0-3 and 5-3 are G two octaves apart
+const CLICKED = ['0-3', '5-3', '2-5', '4-2'];
+
+test('up plays each pitch from the lowest, one note length apart', async app => {
+    selectNotes(app, CLICKED);
+    const { events, samples } = await renderSequence(app, { source: 'selection', direction: 'up', tempo: 120, noteValue: 0.5 }, 1.5);
+    assertEqual(events.map(e => e.id), ['5-3', '4-2', '2-5', '0-3'], 'order');
+    assertEqual(events.map(e => e.time), [0, 0.25, 0.5, 0.75], 'times');
+    assert(peakBetween(samples, 0, 0.1) > 0.05, 'the first note sounds');
+});
+
+test('down reverses the order', async app => {
+    selectNotes(app, CLICKED);
+    const { events } = await renderSequence(app, { source: 'selection', direction: 'down', tempo: 120, noteValue: 0.5 }, 1.5);
+    assertEqual(events.map(e => e.id), ['0-3', '2-5', '4-2', '5-3'], 'order');
+});
+
+test('unisons on two strings play once, from the lower string', async app => {
+    selectNotes(app, ['1-0', '2-4', '5-0']); // B on the B string and on the G string
+    const { events } = await renderSequence(app, { source: 'selection', direction: 'up', tempo: 120, noteValue: 1 }, 2);
+    assertEqual(events.map(e => e.id), ['5-0', '2-4'], 'order');
+});
+
+test('click order keeps the order of the clicks', async app => {
+    selectNotes(app, CLICKED);
+    const { events } = await renderSequence(app, { source: 'selection', direction: 'click', tempo: 60, noteValue: 1 }, 5);
+    assertEqual(events.map(e => e.id), CLICKED, 'order');
+    assertEqual(events.map(e => e.time), [0, 1, 2, 3], 'times');
+});
+
+test('strum sounds low to high strings a moment apart and rings for a bar', async app => {
+    selectNotes(app, CLICKED);
+    const { events, samples } = await renderSequence(app, { source: 'selection', direction: 'strum', tempo: 120, noteValue: 0.5 }, 2.5);
+    assertEqual(events.map(e => e.id), ['5-3', '4-2', '2-5', '0-3'], 'order');
+    events.forEach((e, i) => assertClose(e.time, i * 0.03, 1e-9, `time of note ${i + 1}`));
+    assertEqual(events.map(e => e.duration), [2, 2, 2, 2], 'durations');
+    assert(peakBetween(samples, 1.2, 1.5) > 0.001, 'still ringing late in the bar');
+});
+
+test('loop repeats the sequence every pass from the start time', async app => {
+    selectNotes(app, CLICKED);
+    const { events } = await renderSequence(app, { source: 'selection', direction: 'up', tempo: 120, noteValue: 0.5, loop: true }, 2.6, 0.5);
+    assertEqual(events.map(e => e.time), [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.25, 2.5], 'times');
+    assertEqual(events.slice(4, 8).map(e => e.id), events.slice(0, 4).map(e => e.id), 'second pass');
+});
+
+test('without loop the sequence plays once', async app => {
+    selectNotes(app, CLICKED);
+    const { events } = await renderSequence(app, { source: 'selection', direction: 'up', tempo: 120, noteValue: 0.5 }, 4);
+    assertEqual(events.length, 4, 'event count');
+});